@@ -1,9 +1,838 @@
 // The module 'vscode' contains the VS Code extensibility API
 // Import the module and reference it with the alias vscode in your code below
 const vscode = require("vscode");
+const fs = require("fs");
 const path = require("path");
+const https = require("https");
 const { spawn, spawnSync } = require("child_process");
 
+// Fajr/Isha twilight angles per Aladhan method id. `ishaMinutes` replaces the
+// Isha angle for methods that use a fixed interval after Maghrib (in Ramadan
+// `ramadanIshaMinutes`), `maghrib` delays Maghrib until the sun reaches that
+// angle below the horizon, and `seasonal` uses the Moonsighting Committee's
+// seasonal Fajr and Isha instead of the angles.
+const PRAYER_CALCULATION_METHODS = {
+  1: { name: "University of Islamic Sciences, Karachi", fajr: 18, isha: 18 },
+  2: { name: "Islamic Society of North America (ISNA)", fajr: 15, isha: 15 },
+  3: { name: "Muslim World League", fajr: 18, isha: 17 },
+  4: {
+    name: "Umm Al-Qura University, Makkah",
+    fajr: 18.5,
+    ishaMinutes: 90,
+    ramadanIshaMinutes: 120,
+  },
+  5: { name: "Egyptian General Authority of Survey", fajr: 19.5, isha: 17.5 },
+  7: {
+    name: "Institute of Geophysics, University of Tehran",
+    fajr: 17.7,
+    isha: 14,
+    maghrib: 4.5,
+  },
+  8: { name: "Gulf Region", fajr: 19.5, ishaMinutes: 90 },
+  9: { name: "Kuwait", fajr: 18, isha: 17.5 },
+  10: { name: "Qatar", fajr: 18, ishaMinutes: 90 },
+  11: { name: "Majlis Ugama Islam Singapura (MUIS)", fajr: 20, isha: 18 },
+  13: { name: "Diyanet İşleri Başkanlığı, Turkey", fajr: 18, isha: 17 },
+  15: {
+    name: "Moonsighting Committee Worldwide",
+    fajr: 18,
+    isha: 18,
+    seasonal: true,
+  },
+};
+
+// Aladhan id for user-defined angles (sent with `methodSettings`).
+const CUSTOM_CALCULATION_METHOD = "99";
+
+// Order of the comma separated minute offsets in Aladhan's `tune` parameter.
+const PRAYER_TUNE_ORDER = [
+  "Imsak",
+  "Fajr",
+  "Sunrise",
+  "Dhuhr",
+  "Asr",
+  "Maghrib",
+  "Sunset",
+  "Isha",
+  "Midnight",
+];
+
+// Prayer events firing later than this after their target are treated as missed.
+const PRAYER_EVENT_GRACE_MS = 5 * 60 * 1000;
+
+// How often the clock is sampled to notice sleep/resume or manual clock changes.
+const CLOCK_WATCH_INTERVAL_MS = 60 * 1000;
+const CLOCK_JUMP_TOLERANCE_MS = 2 * 60 * 1000;
+
+// Gentle make-up prayer reminders follow each prayer's iqama (or adhan) by this much.
+const QADA_REMINDER_DELAY_MINUTES = 15;
+
+// How often the status bar countdown is refreshed.
+const STATUS_BAR_REFRESH_MS = 30 * 1000;
+
+// How far back missed prayer checks are looked up after a restart or wake.
+const MISSED_PRAYER_LOOKBACK_MS = 36 * 60 * 60 * 1000;
+
+// Length of the makruh windows around sunrise, zenith and sunset, in minutes.
+// Ishraq/Duha runs between the end of the sunrise window and the zenith window.
+const MAKRUH_WINDOW_MINUTES = { sunrise: 15, zenith: 10, sunset: 15 };
+
+// Imsak used when the timetable has none (offline calculation), before Fajr.
+const IMSAK_MINUTES_BEFORE_FAJR = 10;
+
+// Coordinates of the Kaaba in Makkah, used for the qibla bearing.
+const KAABA_COORDINATES = { latitude: 21.422487, longitude: 39.826206 };
+
+// Prayers a traveler may combine (jam'), and the four-rak'ah prayers shortened (qasr).
+const COMBINED_PRAYER_PAIRS = [
+  ["Dhuhr", "Asr"],
+  ["Maghrib", "Isha"],
+];
+const QASR_PRAYERS = ["Dhuhr", "Asr", "Isha"];
+
+// Friday Dhuhr is shown and announced under this name in Jumu'ah mode.
+const JUMUAH_NAME = "Jumu'ah";
+
+// Built-in adhan recordings, streamed like the Quran audio. `adhanFile` and
+// `fajrAdhanFile` play a local mp3 instead.
+const ADHAN_MUEZZINS = {
+  islamcan1: {
+    name: "Adhan 1",
+    url: "https://www.islamcan.com/audio/adhan/azan1.mp3",
+  },
+  islamcan2: {
+    name: "Adhan 2",
+    url: "https://www.islamcan.com/audio/adhan/azan2.mp3",
+  },
+  islamcan3: {
+    name: "Adhan 3",
+    url: "https://www.islamcan.com/audio/adhan/azan3.mp3",
+  },
+};
+
+// Aladhan `latitudeAdjustmentMethod` ids for each high-latitude rule.
+const HIGH_LATITUDE_RULES = {
+  middleOfTheNight: 1,
+  oneSeventh: 2,
+  angleBased: 3,
+};
+
+/**
+ * Offline prayer time calculator based on the sun's position
+ * (same astronomical model used by the Aladhan API).
+ */
+class PrayerTimesCalculator {
+  constructor(options = {}) {
+    if (String(options.method) === CUSTOM_CALCULATION_METHOD) {
+      this.method = {
+        name: "Custom",
+        fajr: Number(options.customFajrAngle) || 18,
+        isha: Number(options.customIshaAngle) || 17,
+        ishaMinutes: Number(options.customIshaInterval) || 0,
+      };
+    } else {
+      this.method =
+        PRAYER_CALCULATION_METHODS[options.method] ||
+        PRAYER_CALCULATION_METHODS[2];
+    }
+    this.asrFactor = options.asrFactor || 1;
+    this.highLatitudeRule = options.highLatitudeRule || "angleBased";
+    this.offsets = options.offsets || {};
+    this.timeZone = options.timeZone || null; // IANA zone of the location
+    this.hijriDateAdjustment = options.hijriDateAdjustment || 0;
+    this.adjustedTimes = [];
+  }
+
+  /**
+   * UTC offset in hours of an IANA time zone at a given instant, or null
+   * when the zone is unknown to this runtime.
+   */
+  static getUtcOffsetHours(timeZone, date) {
+    try {
+      const parts = {};
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+      })
+        .formatToParts(date)
+        .forEach((part) => {
+          parts[part.type] = Number(part.value);
+        });
+      const wallClock = Date.UTC(
+        parts.year,
+        parts.month - 1,
+        parts.day,
+        parts.hour,
+        parts.minute,
+      );
+      return (wallClock - date.getTime()) / 3600000;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Ishraq/Duha and the three makruh windows for a day, derived from its
+   * Sunrise, Dhuhr and Sunset (or Maghrib) Dates. Windows that cannot be
+   * derived, e.g. when the sun does not rise, are left out.
+   */
+  static getSunWindows(times) {
+    const shift = (date, minutes) =>
+      date ? new Date(date.getTime() + minutes * 60 * 1000) : null;
+    const sunset = times.Sunset || times.Maghrib;
+
+    return [
+      {
+        key: "makruhSunrise",
+        name: "Sunrise (makruh)",
+        makruh: true,
+        start: times.Sunrise,
+        end: shift(times.Sunrise, MAKRUH_WINDOW_MINUTES.sunrise),
+      },
+      {
+        key: "duha",
+        name: "Ishraq / Duha",
+        makruh: false,
+        start: shift(times.Sunrise, MAKRUH_WINDOW_MINUTES.sunrise),
+        end: shift(times.Dhuhr, -MAKRUH_WINDOW_MINUTES.zenith),
+      },
+      {
+        key: "makruhZenith",
+        name: "Zenith (makruh)",
+        makruh: true,
+        start: shift(times.Dhuhr, -MAKRUH_WINDOW_MINUTES.zenith),
+        end: times.Dhuhr,
+      },
+      {
+        key: "makruhSunset",
+        name: "Sunset (makruh)",
+        makruh: true,
+        start: shift(sunset, -MAKRUH_WINDOW_MINUTES.sunset),
+        end: sunset,
+      },
+    ].filter(
+      (window) => window.start && window.end && window.start < window.end,
+    );
+  }
+
+  /**
+   * Great-circle distance in kilometres between two coordinates (haversine).
+   */
+  static getDistanceKm(latitude1, longitude1, latitude2, longitude2) {
+    const [lat1, lng1, lat2, lng2] = [
+      latitude1,
+      longitude1,
+      latitude2,
+      longitude2,
+    ].map((degrees) => (degrees * Math.PI) / 180);
+    const a =
+      Math.sin((lat2 - lat1) / 2) ** 2 +
+      Math.cos(lat1) * Math.cos(lat2) * Math.sin((lng2 - lng1) / 2) ** 2;
+    return 2 * 6371 * Math.asin(Math.min(1, Math.sqrt(a)));
+  }
+
+  /**
+   * Qibla from the given coordinates: the initial great-circle bearing to
+   * the Kaaba in degrees clockwise from true north, its 8-point compass
+   * direction and the distance in kilometres.
+   */
+  static getQibla(latitude, longitude) {
+    const toRadians = (degrees) => (degrees * Math.PI) / 180;
+    const lat1 = toRadians(latitude);
+    const lat2 = toRadians(KAABA_COORDINATES.latitude);
+    const deltaLng = toRadians(KAABA_COORDINATES.longitude - longitude);
+
+    const bearing =
+      (Math.atan2(
+        Math.sin(deltaLng) * Math.cos(lat2),
+        Math.cos(lat1) * Math.sin(lat2) -
+          Math.sin(lat1) * Math.cos(lat2) * Math.cos(deltaLng),
+      ) *
+        180) /
+      Math.PI;
+    const normalizedBearing = (bearing + 360) % 360;
+    const directions = ["N", "NE", "E", "SE", "S", "SW", "W", "NW"];
+
+    return {
+      bearing: normalizedBearing,
+      direction: directions[Math.round(normalizedBearing / 45) % 8],
+      distanceKm: PrayerTimesCalculator.getDistanceKm(
+        latitude,
+        longitude,
+        KAABA_COORDINATES.latitude,
+        KAABA_COORDINATES.longitude,
+      ),
+    };
+  }
+
+  /**
+   * Islamic midnight and the start of the last third of the night, measuring
+   * the night from Maghrib to the next Fajr.
+   */
+  static getNightTimes(maghrib, nextFajr) {
+    if (!maghrib || !nextFajr || nextFajr <= maghrib) {
+      return null;
+    }
+
+    const night = nextFajr - maghrib;
+    return {
+      midnight: new Date(maghrib.getTime() + night / 2),
+      lastThird: new Date(maghrib.getTime() + (night * 2) / 3),
+    };
+  }
+
+  /**
+   * Calculate prayer times for a date at the given coordinates.
+   * Times are returned as Date objects rounded to the minute whose local
+   * clock reads the location's wall-clock time, like the fetched timings;
+   * a time that cannot be reached at this latitude is returned as null.
+   * Without a `timeZone` the machine's own zone is assumed.
+   */
+  getTimes(date, latitude, longitude) {
+    const year = date.getFullYear();
+    const month = date.getMonth();
+    const day = date.getDate();
+    const locationOffset = this.timeZone
+      ? PrayerTimesCalculator.getUtcOffsetHours(
+          this.timeZone,
+          new Date(Date.UTC(year, month, day, Math.round(12 - longitude / 15))),
+        )
+      : null;
+    const timezone =
+      locationOffset !== null
+        ? locationOffset
+        : -new Date(year, month, day, 12).getTimezoneOffset() / 60;
+
+    this._latitude = latitude;
+    this._julianDate =
+      this._toJulianDate(year, month + 1, day) - longitude / (15 * 24);
+
+    // Start from rough guesses, then refine once using those estimates.
+    let times = {
+      Fajr: 5,
+      Sunrise: 6,
+      Dhuhr: 12,
+      Asr: 13,
+      Sunset: 18,
+      Maghrib: 18,
+      Isha: 18,
+    };
+    for (let i = 0; i < 2; i++) {
+      times = this._computeTimes(times);
+    }
+
+    this.adjustedTimes = [];
+    if (this.method.seasonal) {
+      this._applySeasonalTwilight(times, date, latitude);
+    } else {
+      this._adjustHighLatitudes(times);
+    }
+
+    const ishaMinutes =
+      this.method.ramadanIshaMinutes &&
+      HijriCalendar.fromDate(date, this.hijriDateAdjustment).month === 9
+        ? this.method.ramadanIshaMinutes
+        : this.method.ishaMinutes;
+    if (ishaMinutes) {
+      times.Isha = times.Maghrib + ishaMinutes / 60;
+    }
+
+    const result = {};
+    Object.keys(times).forEach((name) => {
+      const offsetHours = (Number(this.offsets[name]) || 0) / 60;
+      const hours = times[name] + timezone - longitude / 15 + offsetHours;
+      result[name] = this._toDate(year, month, day, hours);
+    });
+    return result;
+  }
+
+  _computeTimes(times) {
+    const dayPortion = (hours) => hours / 24;
+    const riseSetAngle = 0.833;
+
+    return {
+      Fajr: this._sunAngleTime(
+        this.method.fajr,
+        dayPortion(times.Fajr),
+        true,
+      ),
+      Sunrise: this._sunAngleTime(
+        riseSetAngle,
+        dayPortion(times.Sunrise),
+        true,
+      ),
+      Dhuhr: this._midDay(dayPortion(times.Dhuhr)),
+      Asr: this._asrTime(this.asrFactor, dayPortion(times.Asr)),
+      Sunset: this._sunAngleTime(riseSetAngle, dayPortion(times.Sunset)),
+      Maghrib: this._sunAngleTime(
+        this.method.maghrib || riseSetAngle,
+        dayPortion(times.Maghrib),
+      ),
+      Isha: this.method.ishaMinutes
+        ? times.Isha
+        : this._sunAngleTime(this.method.isha, dayPortion(times.Isha)),
+    };
+  }
+
+  /**
+   * Keep Fajr and Isha within a portion of the night when the twilight
+   * angle is never reached or falls unreasonably far from sunrise/sunset.
+   * The names of adjusted times are recorded in `adjustedTimes`.
+   */
+  _adjustHighLatitudes(times) {
+    if (!Number.isFinite(times.Sunrise) || !Number.isFinite(times.Sunset)) {
+      return;
+    }
+
+    const night = this._fixHour(times.Sunrise - times.Sunset);
+    const nightPortion = (angle) => {
+      if (this.highLatitudeRule === "middleOfTheNight") {
+        return night / 2;
+      }
+      if (this.highLatitudeRule === "oneSeventh") {
+        return night / 7;
+      }
+      return (angle / 60) * night;
+    };
+
+    const fajrPortion = nightPortion(this.method.fajr);
+    if (
+      !Number.isFinite(times.Fajr) ||
+      this._fixHour(times.Sunrise - times.Fajr) > fajrPortion
+    ) {
+      times.Fajr = times.Sunrise - fajrPortion;
+      this.adjustedTimes.push("Fajr");
+    }
+
+    if (this.method.ishaMinutes) {
+      return;
+    }
+
+    const ishaPortion = nightPortion(this.method.isha);
+    if (
+      !Number.isFinite(times.Isha) ||
+      this._fixHour(times.Isha - times.Sunset) > ishaPortion
+    ) {
+      times.Isha = times.Sunset + ishaPortion;
+      this.adjustedTimes.push("Isha");
+    }
+  }
+
+  /**
+   * Moonsighting Committee Fajr and Isha: a number of minutes before sunrise
+   * and after sunset that changes with latitude and the days since the
+   * winter solstice, or a seventh of the night from 55° on.
+   */
+  _applySeasonalTwilight(times, date, latitude) {
+    if (!Number.isFinite(times.Sunrise) || !Number.isFinite(times.Sunset)) {
+      return;
+    }
+
+    if (Math.abs(latitude) >= 55) {
+      const night = this._fixHour(times.Sunrise - times.Sunset);
+      times.Fajr = times.Sunrise - night / 7;
+      times.Isha = times.Sunset + night / 7;
+      this.adjustedTimes.push("Fajr", "Isha");
+      return;
+    }
+
+    const year = date.getFullYear();
+    const isLeapYear = new Date(year, 1, 29).getDate() === 29;
+    const daysInYear = isLeapYear ? 366 : 365;
+    const dayOfYear =
+      Math.round(
+        (Date.UTC(year, date.getMonth(), date.getDate()) -
+          Date.UTC(year, 0, 1)) /
+          86400000,
+      ) + 1;
+    const daysSinceSolstice =
+      latitude >= 0
+        ? (dayOfYear + 10) % daysInYear
+        : (dayOfYear - (isLeapYear ? 173 : 172) + daysInYear) % daysInYear;
+
+    // Minutes at the winter solstice (a), the equinoxes (b), and 46 (c) and
+    // 92 (d) days after the spring equinox, interpolated in between.
+    const seasonalMinutes = (a, b, c, d) => {
+      const day = daysSinceSolstice;
+      if (day < 91) return a + ((b - a) / 91) * day;
+      if (day < 137) return b + ((c - b) / 46) * (day - 91);
+      if (day < 183) return c + ((d - c) / 46) * (day - 137);
+      if (day < 229) return d + ((c - d) / 46) * (day - 183);
+      if (day < 275) return c + ((b - c) / 46) * (day - 229);
+      return b + ((a - b) / 91) * (day - 275);
+    };
+    const lat = Math.abs(latitude) / 55;
+    times.Fajr =
+      times.Sunrise -
+      seasonalMinutes(
+        75 + 28.65 * lat,
+        75 + 19.44 * lat,
+        75 + 32.74 * lat,
+        75 + 48.1 * lat,
+      ) /
+        60;
+    times.Isha =
+      times.Sunset +
+      seasonalMinutes(
+        75 + 25.6 * lat,
+        75 + 2.05 * lat,
+        75 - 9.21 * lat,
+        75 + 6.14 * lat,
+      ) /
+        60;
+  }
+
+  _toJulianDate(year, month, day) {
+    if (month <= 2) {
+      year -= 1;
+      month += 12;
+    }
+    const a = Math.floor(year / 100);
+    const b = 2 - a + Math.floor(a / 4);
+    return (
+      Math.floor(365.25 * (year + 4716)) +
+      Math.floor(30.6001 * (month + 1)) +
+      day +
+      b -
+      1524.5
+    );
+  }
+
+  _sunPosition(julianDate) {
+    const d = julianDate - 2451545.0;
+    const g = this._fixAngle(357.529 + 0.98560028 * d);
+    const q = this._fixAngle(280.459 + 0.98564736 * d);
+    const l = this._fixAngle(
+      q + 1.915 * this._sin(g) + 0.02 * this._sin(2 * g),
+    );
+    const e = 23.439 - 0.00000036 * d;
+
+    const rightAscension =
+      this._arctan2(this._cos(e) * this._sin(l), this._cos(l)) / 15;
+    return {
+      declination: this._arcsin(this._sin(e) * this._sin(l)),
+      equation: q / 15 - this._fixHour(rightAscension),
+    };
+  }
+
+  _midDay(time) {
+    const { equation } = this._sunPosition(this._julianDate + time);
+    return this._fixHour(12 - equation);
+  }
+
+  _sunAngleTime(angle, time, beforeNoon = false) {
+    const { declination } = this._sunPosition(this._julianDate + time);
+    const noon = this._midDay(time);
+    const cosHourAngle =
+      (-this._sin(angle) -
+        this._sin(declination) * this._sin(this._latitude)) /
+      (this._cos(declination) * this._cos(this._latitude));
+
+    // The sun never reaches this angle today (polar day/night or white nights).
+    if (cosHourAngle < -1 || cosHourAngle > 1) {
+      return NaN;
+    }
+
+    const hourAngle = this._arccos(cosHourAngle) / 15;
+    return noon + (beforeNoon ? -hourAngle : hourAngle);
+  }
+
+  _asrTime(factor, time) {
+    const { declination } = this._sunPosition(this._julianDate + time);
+    const angle = -this._arccot(
+      factor + this._tan(Math.abs(this._latitude - declination)),
+    );
+    return this._sunAngleTime(angle, time);
+  }
+
+  _toDate(year, month, day, hours) {
+    if (!Number.isFinite(hours)) {
+      return null;
+    }
+    const totalMinutes = Math.round(hours * 60);
+    return new Date(year, month, day, 0, totalMinutes, 0, 0);
+  }
+
+  _fixAngle(angle) {
+    return angle - 360 * Math.floor(angle / 360);
+  }
+
+  _fixHour(hour) {
+    return hour - 24 * Math.floor(hour / 24);
+  }
+
+  _sin(degrees) {
+    return Math.sin((degrees * Math.PI) / 180);
+  }
+
+  _cos(degrees) {
+    return Math.cos((degrees * Math.PI) / 180);
+  }
+
+  _tan(degrees) {
+    return Math.tan((degrees * Math.PI) / 180);
+  }
+
+  _arcsin(value) {
+    return (Math.asin(value) * 180) / Math.PI;
+  }
+
+  _arccos(value) {
+    return (Math.acos(value) * 180) / Math.PI;
+  }
+
+  _arctan2(y, x) {
+    return (Math.atan2(y, x) * 180) / Math.PI;
+  }
+
+  _arccot(value) {
+    return (Math.atan(1 / value) * 180) / Math.PI;
+  }
+}
+
+// Hijri month names in English and Arabic, Muharram first.
+const HIJRI_MONTHS = [
+  { en: "Muharram", ar: "محرم" },
+  { en: "Safar", ar: "صفر" },
+  { en: "Rabi' al-Awwal", ar: "ربيع الأول" },
+  { en: "Rabi' al-Thani", ar: "ربيع الآخر" },
+  { en: "Jumada al-Ula", ar: "جمادى الأولى" },
+  { en: "Jumada al-Akhirah", ar: "جمادى الآخرة" },
+  { en: "Rajab", ar: "رجب" },
+  { en: "Sha'ban", ar: "شعبان" },
+  { en: "Ramadan", ar: "رمضان" },
+  { en: "Shawwal", ar: "شوال" },
+  { en: "Dhu al-Qi'dah", ar: "ذو القعدة" },
+  { en: "Dhu al-Hijjah", ar: "ذو الحجة" },
+];
+
+// Yearly occasions by Hijri month and day. `night` events begin at Maghrib
+// of the previous day.
+const ISLAMIC_EVENTS = [
+  { key: "newYear", name: "Islamic New Year", month: 1, day: 1 },
+  { key: "ashura", name: "Day of Ashura", month: 1, day: 10 },
+  { key: "ramadanStart", name: "Start of Ramadan", month: 9, day: 1 },
+  ...[21, 23, 25, 27, 29].map((day) => ({
+    key: `laylatAlQadr${day}`,
+    name: `Laylat al-Qadr (night ${day})`,
+    month: 9,
+    day,
+    night: true,
+  })),
+  { key: "eidAlFitr", name: "Eid al-Fitr", month: 10, day: 1 },
+  { key: "arafah", name: "Day of Arafah", month: 12, day: 9 },
+  { key: "eidAlAdha", name: "Eid al-Adha", month: 12, day: 10 },
+];
+
+// Kinds of fast that can be logged as kept.
+const FAST_TYPES = ["obligatory", "makeup", "voluntary"];
+
+// Said when breaking the fast (Abu Dawud).
+const IFTAR_DUA = {
+  arabic:
+    "ذَهَبَ الظَّمَأُ، وَابْتَلَّتِ الْعُرُوقُ، وَثَبَتَ الْأَجْرُ إِنْ شَاءَ اللَّهُ",
+  translation:
+    "The thirst has gone, the veins are moistened, and the reward is certain, if Allah wills.",
+};
+
+// Said after the adhan (Bukhari).
+const ADHAN_DUA = {
+  arabic:
+    "اللَّهُمَّ رَبَّ هَذِهِ الدَّعْوَةِ التَّامَّةِ، وَالصَّلَاةِ الْقَائِمَةِ، آتِ مُحَمَّدًا الْوَسِيلَةَ وَالْفَضِيلَةَ، وَابْعَثْهُ مَقَامًا مَحْمُودًا الَّذِي وَعَدْتَهُ",
+  translation:
+    "O Allah, Lord of this perfect call and of the prayer about to be established, grant Muhammad al-Wasilah and al-Fadilah, and raise him to the praised station You have promised him.",
+  note: "Repeat the words of the muezzin as you hear them, then send blessings on the Prophet ﷺ and say:",
+};
+
+// Rotated in the azkar section between the adhan and the iqama, when dua
+// is not turned away (Abu Dawud, Tirmidhi).
+const ADHAN_WINDOW_AZKAR = [
+  {
+    arabic: "لَا حَوْلَ وَلَا قُوَّةَ إِلَّا بِاللَّهِ",
+    translation:
+      "There is no might nor power except with Allah. (Said when the muezzin calls to prayer and to success.)",
+  },
+  {
+    arabic:
+      "وَأَنَا أَشْهَدُ أَنْ لَا إِلَهَ إِلَّا اللَّهُ وَحْدَهُ لَا شَرِيكَ لَهُ، وَأَنَّ مُحَمَّدًا عَبْدُهُ وَرَسُولُهُ، رَضِيتُ بِاللَّهِ رَبًّا، وَبِمُحَمَّدٍ رَسُولًا، وَبِالْإِسْلَامِ دِينًا",
+    translation:
+      "And I bear witness that there is no god but Allah alone, without partner, and that Muhammad is His servant and Messenger. I am pleased with Allah as Lord, Muhammad as Messenger and Islam as religion.",
+  },
+  {
+    arabic:
+      "اللَّهُمَّ صَلِّ عَلَى مُحَمَّدٍ وَعَلَى آلِ مُحَمَّدٍ، كَمَا صَلَّيْتَ عَلَى إِبْرَاهِيمَ وَعَلَى آلِ إِبْرَاهِيمَ، إِنَّكَ حَمِيدٌ مَجِيدٌ",
+    translation:
+      "O Allah, send blessings on Muhammad and the family of Muhammad, as You sent blessings on Ibrahim and the family of Ibrahim. You are Praiseworthy, Glorious.",
+  },
+  { arabic: ADHAN_DUA.arabic, translation: ADHAN_DUA.translation },
+  {
+    arabic:
+      "اللَّهُمَّ إِنِّي أَسْأَلُكَ الْعَفْوَ وَالْعَافِيَةَ فِي الدُّنْيَا وَالْآخِرَةِ",
+    translation:
+      "O Allah, I ask You for pardon and well-being in this world and the Hereafter.",
+  },
+];
+
+/**
+ * Offline Hijri calendar using the tabular (Kuwaiti) algorithm, which is
+ * within a day of Umm al-Qura; `adjustment` shifts it for local sighting.
+ */
+class HijriCalendar {
+  /**
+   * Hijri date for a Gregorian date. Pass `maghrib` to start the next Hijri
+   * day at sunset instead of midnight.
+   */
+  static fromDate(date, adjustment = 0, maghrib = null) {
+    const shifted = new Date(
+      date.getFullYear(),
+      date.getMonth(),
+      date.getDate(),
+    );
+    shifted.setDate(
+      shifted.getDate() +
+        (Number(adjustment) || 0) +
+        (maghrib && date >= maghrib ? 1 : 0),
+    );
+
+    let l = HijriCalendar._toJulianDay(shifted) - 1948440 + 10632;
+    const cycle = Math.floor((l - 1) / 10631);
+    l = l - 10631 * cycle + 354;
+    const yearInCycle =
+      Math.floor((10985 - l) / 5316) * Math.floor((50 * l) / 17719) +
+      Math.floor(l / 5670) * Math.floor((43 * l) / 15238);
+    l =
+      l -
+      Math.floor((30 - yearInCycle) / 15) *
+        Math.floor((17719 * yearInCycle) / 50) -
+      Math.floor(yearInCycle / 16) * Math.floor((15238 * yearInCycle) / 43) +
+      29;
+    const month = Math.floor((24 * l) / 709);
+
+    return HijriCalendar._describe(
+      30 * cycle + yearInCycle - 30,
+      month,
+      l - Math.floor((709 * month) / 24),
+    );
+  }
+
+  /**
+   * Gregorian estimate (local midnight) of a Hijri date, the inverse of
+   * `fromDate` with the same adjustment.
+   */
+  static toDate(year, month, day, adjustment = 0) {
+    const julianDay =
+      day +
+      Math.ceil(29.5 * (month - 1)) +
+      (year - 1) * 354 +
+      Math.floor((3 + 11 * year) / 30) +
+      1948439;
+
+    const a = julianDay + 32044;
+    const b = Math.floor((4 * a + 3) / 146097);
+    const c = a - Math.floor((146097 * b) / 4);
+    const d = Math.floor((4 * c + 3) / 1461);
+    const e = c - Math.floor((1461 * d) / 4);
+    const m = Math.floor((5 * e + 2) / 153);
+
+    return new Date(
+      100 * b + d - 4800 + Math.floor(m / 10),
+      m + 2 - 12 * Math.floor(m / 10),
+      e - Math.floor((153 * m + 2) / 5) + 1 - (Number(adjustment) || 0),
+    );
+  }
+
+  /**
+   * Next occurrence on or after `date` of each yearly event, plus the next
+   * white days (13th-15th), sorted by date. Night events are dated by the
+   * day that follows the night.
+   */
+  static getUpcomingEvents(date, adjustment = 0) {
+    const today = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    const current = HijriCalendar.fromDate(today, adjustment);
+    // A night event dated today began last evening, so it is already over.
+    const nextOccurrence = (event) =>
+      [current.year, current.year + 1]
+        .map((year) =>
+          HijriCalendar.toDate(year, event.month, event.day, adjustment),
+        )
+        .find((eventDate) =>
+          event.night ? eventDate > today : eventDate >= today,
+        );
+
+    const events = ISLAMIC_EVENTS.map((event) => ({
+      ...event,
+      date: nextOccurrence(event),
+    }));
+
+    // White days run 13-15 of every month; list the next ones not yet over.
+    const whiteDays =
+      current.day <= 15
+        ? current
+        : current.month === 12
+          ? { year: current.year + 1, month: 1 }
+          : { year: current.year, month: current.month + 1 };
+    events.push({
+      key: "whiteDays",
+      name: "White days (13th-15th)",
+      month: whiteDays.month,
+      day: 13,
+      date: HijriCalendar.toDate(
+        whiteDays.year,
+        whiteDays.month,
+        13,
+        adjustment,
+      ),
+      endDate: HijriCalendar.toDate(
+        whiteDays.year,
+        whiteDays.month,
+        15,
+        adjustment,
+      ),
+    });
+
+    return events
+      .filter((event) => event.date)
+      .map((event) => ({
+        ...event,
+        hijri: HijriCalendar.fromDate(event.date, adjustment),
+      }))
+      .sort((a, b) => a.date - b.date);
+  }
+
+  static _describe(year, month, day) {
+    const names = HIJRI_MONTHS[month - 1];
+    return {
+      year,
+      month,
+      day,
+      monthNameEn: names.en,
+      monthNameAr: names.ar,
+      formattedEn: `${day} ${names.en} ${year} AH`,
+      formattedAr: `${day} ${names.ar} ${year} هـ`,
+    };
+  }
+
+  static _toJulianDay(date) {
+    const a = Math.floor((14 - (date.getMonth() + 1)) / 12);
+    const year = date.getFullYear() + 4800 - a;
+    const month = date.getMonth() + 1 + 12 * a - 3;
+    return (
+      date.getDate() +
+      Math.floor((153 * month + 2) / 5) +
+      365 * year +
+      Math.floor(year / 4) -
+      Math.floor(year / 100) +
+      Math.floor(year / 400) -
+      32045
+    );
+  }
+}
+
 /**
  * Sidebar Provider Class
  */
@@ -21,14 +850,31 @@ class SidebarProvider {
     this._reminderAudioProcess = null; // Background reminder audio process
     this._goPrayPanel = null; // Urgent prayer reminder panel
     this._isPrayerLockActive = false;
+    this._statusBarItem = null; // Next-prayer countdown
+    this._statusBarInterval = null;
+    this._adhanProcess = null; // Adhan audio player
+    this._quranPausedForAdhan = null; // Native Quran state to resume
     this._prayerLockPrayerName = "";
     this._prayerLockRevealInterval = null;
     this._stateKeys = {
       prayerEvents: "islamic-shoky.prayerEvents",
+      // "YYYY-MM-DD:Prayer" -> true (prayed), "late" or false (not prayed)
       prayerResponses: "islamic-shoky.prayerResponses",
       lastPrayerNotified: "islamic-shoky.lastPrayerNotified",
       location: "islamic-shoky.location",
+      prayerTimetable: "islamic-shoky.prayerTimetable",
+      savedLocations: "islamic-shoky.savedLocations",
+      homeLocation: "islamic-shoky.homeLocation",
+      travelerMode: "islamic-shoky.travelerMode",
+      sunnahFastDismissals: "islamic-shoky.sunnahFastDismissals",
+      fastingLog: "islamic-shoky.fastingLog",
+      qada: "islamic-shoky.qada",
     };
+    this._prayerTimetableRefresh = null; // In-flight calendar download
+    this._prayerSchedule = null; // Today's times as scheduled by the host
+    this._prayerRolloverTimeout = null; // Midnight reschedule
+    this._clockWatchInterval = null; // Sleep/resume detection
+    this._lastClockTick = Date.now();
   }
 
   resolveWebviewView(webviewView) {
@@ -66,17 +912,33 @@ class SidebarProvider {
           case "azkarChanged":
             this._handleAzkarChanged(message.azkar);
             break;
-          case "prayerTimesFetched":
-            this._schedulePrayerNotifications(message.prayerTimes);
+          case "requestIslamicEvents":
+            this._pushIslamicEventsToWebview();
+            break;
+          case "requestFastingLog":
+            this._pushFastingLogToWebview();
+            break;
+          case "logFast":
+            void this.logFast(message.dateKey, message.entry);
+            break;
+          case "exportFastingLog":
+            void this.exportFastingLog();
+            break;
+          case "requestPrayerLog":
+            this._pushPrayerLogToWebview();
+            break;
+          case "setPrayerStatus":
+            void this.setPrayerStatus(message.responseKey, message.status);
+            break;
+          case "requestPrayerTimes":
+            void this._handlePrayerTimesRequest(message.location);
             break;
           case "getLocationData":
             this._handleLocationDataRequest(webviewView);
             break;
           case "locationDataResponse":
-            this._forwardLocationToPrayerProvider(message.location);
-            break;
           case "locationUpdated":
-            this._forwardLocationToPrayerProvider(message.location);
+            void this._handleLocationUpdate(message.location);
             break;
           case "requestSavedLocation":
             this._sendSavedLocationToWebview(webviewView);
@@ -117,122 +979,1626 @@ class SidebarProvider {
             this._stopBackgroundAudio();
             break;
           case "prayerLockCompleted":
-            this._releasePrayerLock();
+            void this._completePrayerLock();
             break;
         }
       },
-      undefined,
-      this._context.subscriptions,
+      undefined,
+      this._context.subscriptions,
+    );
+
+    // Clean up when webview is disposed
+    webviewView.onDidDispose(() => {
+      // Only clear intervals, but preserve audio state if audio is playing
+      webviewView.webview.postMessage({
+        command: "cleanup",
+        preserveAudio: this._currentAudioState !== null,
+      });
+    });
+
+    // Track visibility changes
+    webviewView.onDidChangeVisibility(() => {
+      const isVisible = webviewView.visible;
+      webviewView.webview.postMessage({
+        command: "panelVisibilityChanged",
+        visible: isVisible,
+      });
+    });
+
+    // Send initial visibility state
+    webviewView.webview.postMessage({
+      command: "panelVisibilityChanged",
+      visible: webviewView.visible,
+    });
+
+    // Hydrate the panel with persisted location as soon as the webview is ready.
+    setTimeout(() => {
+      this._sendSavedLocationToWebview(webviewView);
+    }, 300);
+
+    // Restore audio state if there was one
+    if (this._currentAudioState) {
+      setTimeout(() => {
+        webviewView.webview.postMessage({
+          command: "restoreAudioState",
+          audioState: this._currentAudioState,
+        });
+      }, 1000); // Give webview time to initialize
+    }
+
+    // Start 5-minute reminder system
+    this._startReminderSystem();
+  }
+
+  async _handleLocationRequest(webviewView) {
+    const choice = await vscode.window.showInformationMessage(
+      "Islamic Shoky would like to detect your location for accurate prayer times. How would you like to proceed?",
+      "Auto-detect Location",
+      "Enter Location Manually",
+      "Cancel",
+    );
+
+    if (choice === "Auto-detect Location") {
+      webviewView.webview.postMessage({
+        command: "enableIPLocation",
+      });
+    } else if (choice === "Enter Location Manually") {
+      this._setLocationManually(webviewView);
+    }
+  }
+
+  async _setLocationManually(webviewView) {
+    const city = await vscode.window.showInputBox({
+      prompt: "Enter your city name (e.g., Cairo, New York, London, Dubai)",
+      placeHolder: "City name (try with country if not found: Cairo, Egypt)",
+      value: "",
+    });
+
+    if (city) {
+      webviewView.webview.postMessage({
+        command: "setManualLocation",
+        city: city,
+      });
+    }
+  }
+
+  _handleLocationDataRequest(webviewView) {
+    // Request location data from the webview and forward it to prayer provider
+    webviewView.webview.postMessage({
+      command: "requestCurrentLocation",
+    });
+  }
+
+  _sendSavedLocationToWebview(webviewView) {
+    const savedLocation = this._context.globalState.get(
+      this._stateKeys.location,
+    );
+
+    if (savedLocation) {
+      webviewView.webview.postMessage({
+        command: "savedLocation",
+        location: savedLocation,
+      });
+    }
+  }
+
+  /**
+   * Make `location` current for the prayer provider. Resolves once traveler
+   * mode has been settled for it, so callers can refresh the schedule with
+   * the right mode; resolves true when the prayer times need recomputing.
+   */
+  async _forwardLocationToPrayerProvider(location) {
+    if (!location) {
+      return false;
+    }
+
+    const previousLocation = this._context.globalState.get(
+      this._stateKeys.location,
+    );
+    const hasChanged =
+      !previousLocation ||
+      this._getPrayerTimetableSignature(previousLocation) !==
+        this._getPrayerTimetableSignature(location);
+
+    // Persist location so prayer data can load on startup without waiting for the webview.
+    this._context.globalState.update(this._stateKeys.location, location);
+
+    // The first known location is home until the user picks another one.
+    if (!this._context.globalState.get(this._stateKeys.homeLocation)) {
+      this._context.globalState.update(this._stateKeys.homeLocation, location);
+    } else if (hasChanged) {
+      await this._checkTravelerMode(location);
+    }
+
+    // Forward location data to the prayer provider
+    if (prayerProvider) {
+      prayerProvider.currentLocation = location;
+      prayerProvider.refresh();
+    }
+
+    return hasChanged;
+  }
+
+  /**
+   * Quick pick over the named locations in `savedLocations`, with entries to
+   * save the current location or remove one.
+   */
+  async showSavedLocations() {
+    const savedLocations = this._context.globalState.get(
+      this._stateKeys.savedLocations,
+      [],
+    );
+    const currentLocation = this._context.globalState.get(
+      this._stateKeys.location,
+    );
+    const currentSignature = currentLocation
+      ? this._getPrayerTimetableSignature(currentLocation)
+      : null;
+
+    const items = savedLocations.map((saved) => ({
+      label:
+        this._getPrayerTimetableSignature(saved.location) === currentSignature
+          ? `$(check) ${saved.name}`
+          : saved.name,
+      description: [saved.location.city, saved.location.country]
+        .filter(Boolean)
+        .join(", "),
+      saved,
+    }));
+    if (currentLocation) {
+      items.push({ label: "$(add) Save current location...", action: "save" });
+      items.push({
+        label: "$(home) Set current location as home",
+        action: "home",
+      });
+    }
+    if (savedLocations.length > 0) {
+      items.push({
+        label: "$(trash) Remove a saved location...",
+        action: "remove",
+      });
+    }
+    if (items.length === 0) {
+      vscode.window.showInformationMessage(
+        "Set a location from the Islamic Shoky panel first, then save it here.",
+      );
+      return;
+    }
+
+    const selection = await vscode.window.showQuickPick(items, {
+      placeHolder: "Switch to a saved location",
+    });
+    if (!selection) {
+      return;
+    }
+
+    if (selection.action === "save") {
+      await this._saveCurrentLocation(currentLocation);
+    } else if (selection.action === "home") {
+      await this._context.globalState.update(
+        this._stateKeys.homeLocation,
+        currentLocation,
+      );
+      await this._checkTravelerMode(currentLocation);
+      vscode.window.showInformationMessage(
+        `🏠 Home set to ${currentLocation.city || "the current location"}`,
+      );
+    } else if (selection.action === "remove") {
+      await this._removeSavedLocation();
+    } else {
+      await this.switchToLocation(selection.saved.location);
+      vscode.window.showInformationMessage(
+        `📍 Switched to ${selection.saved.name}`,
+      );
+    }
+  }
+
+  async _saveCurrentLocation(location) {
+    const name = await vscode.window.showInputBox({
+      prompt: "Name this location (e.g., Home, Cairo office)",
+      value: location.city || "",
+      validateInput: (value) =>
+        value.trim() ? null : "Please enter a name for this location",
+    });
+    if (!name) {
+      return;
+    }
+
+    // Saving under an existing name replaces that entry.
+    const savedLocations = this._context.globalState
+      .get(this._stateKeys.savedLocations, [])
+      .filter((saved) => saved.name !== name.trim());
+    savedLocations.push({ name: name.trim(), location });
+    await this._context.globalState.update(
+      this._stateKeys.savedLocations,
+      savedLocations,
+    );
+    vscode.window.showInformationMessage(`📍 Saved location: ${name.trim()}`);
+  }
+
+  async _removeSavedLocation() {
+    const savedLocations = this._context.globalState.get(
+      this._stateKeys.savedLocations,
+      [],
+    );
+    const selection = await vscode.window.showQuickPick(
+      savedLocations.map((saved) => ({ label: saved.name, saved })),
+      { placeHolder: "Remove a saved location" },
+    );
+    if (!selection) {
+      return;
+    }
+
+    await this._context.globalState.update(
+      this._stateKeys.savedLocations,
+      savedLocations.filter((saved) => saved !== selection.saved),
+    );
+  }
+
+  /**
+   * Make `location` current: reschedule reminders and refresh the webview
+   * and the Explorer view.
+   */
+  async switchToLocation(location) {
+    await this._forwardLocationToPrayerProvider(location);
+    if (this._view && this._view.webview) {
+      this._view.webview.postMessage({ command: "savedLocation", location });
+    }
+    await this.refreshPrayerSchedule();
+  }
+
+  _isTravelerModeActive() {
+    const travelerMode = this._context.globalState.get(
+      this._stateKeys.travelerMode,
+      {},
+    );
+    return Boolean(travelerMode.enabled);
+  }
+
+  async setTravelerMode(enabled) {
+    await this._context.globalState.update(this._stateKeys.travelerMode, {
+      enabled,
+    });
+    await this.refreshPrayerSchedule();
+    if (prayerProvider) {
+      prayerProvider.refresh();
+    }
+  }
+
+  /**
+   * Offer traveler mode once the location is farther from home than
+   * `travelerDistanceKm`, and turn it off again on return. The offer is not
+   * awaited; accepting it reschedules through `setTravelerMode`.
+   */
+  async _checkTravelerMode(location) {
+    const home = this._context.globalState.get(this._stateKeys.homeLocation);
+    const distance = home ? this._getDistanceKm(home, location) : null;
+    if (distance === null) {
+      return;
+    }
+
+    const config = this._getConfiguration();
+    const travelerMode = this._context.globalState.get(
+      this._stateKeys.travelerMode,
+      {},
+    );
+    const locationKey = `${Number(location.latitude).toFixed(2)},${Number(
+      location.longitude,
+    ).toFixed(2)}`;
+
+    if (distance <= config.travelerDistanceKm) {
+      if (travelerMode.enabled) {
+        await this.setTravelerMode(false);
+        vscode.window.showInformationMessage(
+          "🏠 Welcome home, traveler mode is off",
+        );
+      }
+      return;
+    }
+
+    if (travelerMode.enabled || travelerMode.declinedAt === locationKey) {
+      return;
+    }
+
+    void this._offerTravelerMode(distance, locationKey);
+  }
+
+  async _offerTravelerMode(distance, locationKey) {
+    const selection = await vscode.window.showInformationMessage(
+      `You are about ${Math.round(distance)} km from home. Enable traveler mode to shorten (qasr) and combine (jam') prayers?`,
+      "Enable Traveler Mode",
+      "Not Now",
+    );
+    if (selection === "Enable Traveler Mode") {
+      await this.setTravelerMode(true);
+    } else if (selection === "Not Now") {
+      // Do not ask again until the location changes.
+      await this._context.globalState.update(this._stateKeys.travelerMode, {
+        enabled: false,
+        declinedAt: locationKey,
+      });
+    }
+  }
+
+  _getDistanceKm(from, to) {
+    const coordinates = [
+      from.latitude,
+      from.longitude,
+      to.latitude,
+      to.longitude,
+    ].map(Number);
+    if (
+      from.useDirectCityAPI ||
+      to.useDirectCityAPI ||
+      !coordinates.every(Number.isFinite)
+    ) {
+      return null;
+    }
+
+    return PrayerTimesCalculator.getDistanceKm(...coordinates);
+  }
+
+  _pushIslamicEventsToWebview() {
+    if (!this._view || !this._view.webview) {
+      return;
+    }
+
+    const events = HijriCalendar.getUpcomingEvents(
+      new Date(),
+      this._getConfiguration().hijriDateAdjustment,
+    );
+    this._view.webview.postMessage({
+      command: "islamicEventsData",
+      events: events.map((event) => ({
+        key: event.key,
+        name: event.name,
+        night: Boolean(event.night),
+        dateKey: this._toDateKey(event.date),
+        endDateKey: event.endDate ? this._toDateKey(event.endDate) : null,
+        hijriEn: event.hijri.formattedEn,
+        hijriAr: event.hijri.formattedAr,
+      })),
+    });
+  }
+
+  /**
+   * Remind at today's Maghrib about occasions that fall tomorrow, or that
+   * begin tonight for night events such as Laylat al-Qadr.
+   */
+  _scheduleIslamicEventReminders(timings) {
+    const config = this._getConfiguration();
+    const now = new Date();
+    const maghrib = this._parsePrayerTime(timings.Maghrib, now);
+    const tomorrowKey = this._toDateKey(
+      new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1),
+    );
+
+    HijriCalendar.getUpcomingEvents(now, config.hijriDateAdjustment)
+      .filter((event) => this._toDateKey(event.date) === tomorrowKey)
+      .forEach((event) => {
+        const timeoutKey = `event_${event.key}`;
+        if (
+          !maghrib ||
+          !config.enablePrayerNotifications ||
+          !config.enableIslamicEventReminders
+        ) {
+          this._clearPrayerTimeout(timeoutKey);
+          return;
+        }
+
+        this._setPrayerTimeout(timeoutKey, maghrib, () => {
+          void this._runUniquePrayerEvent(
+            `${tomorrowKey}:event:${event.key}`,
+            async () => {
+              vscode.window.showInformationMessage(
+                event.night
+                  ? `🌙 Tonight may be ${event.name} (${event.hijri.formattedEn})`
+                  : `📅 Tomorrow is ${event.name} (${event.hijri.formattedEn})`,
+              );
+            },
+          );
+        });
+      });
+  }
+
+  /**
+   * Whether `date` is a Ramadan fast day, from the Hijri calendar unless
+   * the `ramadanMode` setting forces it on or off.
+   */
+  _isRamadanDay(date, config = this._getConfiguration()) {
+    if (config.ramadanMode === "on" || config.ramadanMode === "off") {
+      return config.ramadanMode === "on";
+    }
+    return HijriCalendar.fromDate(date, config.hijriDateAdjustment).month === 9;
+  }
+
+  _getImsakTime(timings, day) {
+    if (timings.Imsak) {
+      return this._parsePrayerTime(timings.Imsak, day);
+    }
+
+    const fajr = this._parsePrayerTime(timings.Fajr, day);
+    return fajr
+      ? new Date(fajr.getTime() - IMSAK_MINUTES_BEFORE_FAJR * 60 * 1000)
+      : null;
+  }
+
+  _scheduleRamadanNotifications(timings, tomorrowTimings) {
+    const config = this._getConfiguration();
+    const now = new Date();
+    const tomorrow = new Date(now);
+    tomorrow.setDate(tomorrow.getDate() + 1);
+
+    // Stop-eating reminders for today's and tomorrow's Fajr.
+    [
+      { day: now, dayTimings: timings },
+      { day: tomorrow, dayTimings: tomorrowTimings },
+    ].forEach(({ day, dayTimings }) => {
+      const dateKey = this._toDateKey(day);
+      const timeoutKey = `suhoor_${dateKey}`;
+      const fajr = dayTimings && this._parsePrayerTime(dayTimings.Fajr, day);
+      if (
+        !fajr ||
+        !config.enablePrayerNotifications ||
+        config.suhoorReminderMinutes <= 0 ||
+        !this._isRamadanDay(day, config)
+      ) {
+        this._clearPrayerTimeout(timeoutKey);
+        return;
+      }
+
+      const imsak = this._getImsakTime(dayTimings, day);
+      const reminderTime = new Date(
+        fajr.getTime() - config.suhoorReminderMinutes * 60 * 1000,
+      );
+      this._setPrayerTimeout(timeoutKey, reminderTime, () => {
+        void this._runUniquePrayerEvent(`${dateKey}:suhoor`, async () => {
+          vscode.window.showInformationMessage(
+            `🍽️ Suhoor is ending: stop eating by Imsak (${this._toTimeString(imsak)}), Fajr is at ${this._toTimeString(fajr)}`,
+          );
+        });
+      });
+    });
+
+    const dateKey = this._toDateKey(now);
+    const maghrib = this._parsePrayerTime(timings.Maghrib, now);
+    if (
+      !maghrib ||
+      !config.enablePrayerNotifications ||
+      !this._isRamadanDay(now, config)
+    ) {
+      this._clearPrayerTimeout(`iftar_${dateKey}`);
+      return;
+    }
+
+    this._setPrayerTimeout(`iftar_${dateKey}`, maghrib, () => {
+      void this._runUniquePrayerEvent(`${dateKey}:iftar`, async () => {
+        vscode.window.showInformationMessage(
+          `🌅 Time for iftar. ${IFTAR_DUA.arabic} (${IFTAR_DUA.translation})`,
+        );
+      });
+    });
+  }
+
+  _getRamadanForWebview() {
+    const config = this._getConfiguration();
+    const now = new Date();
+    const tomorrow = new Date(now);
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    const fastingToday = this._isRamadanDay(now, config);
+    const fastingTomorrow = this._isRamadanDay(tomorrow, config);
+    if (!fastingToday && !fastingTomorrow) {
+      return null;
+    }
+
+    // Night N of Ramadan is the one before fast day N.
+    const hijriToday = HijriCalendar.fromDate(now, config.hijriDateAdjustment);
+    const hijriTomorrow = HijriCalendar.fromDate(
+      tomorrow,
+      config.hijriDateAdjustment,
+    );
+    const imsak = this._getImsakTime(this._prayerSchedule.timings, now);
+    const tomorrowImsak = this._prayerSchedule.tomorrowTimings
+      ? this._getImsakTime(this._prayerSchedule.tomorrowTimings, tomorrow)
+      : null;
+    return {
+      fastingToday,
+      fastingTomorrow,
+      day: fastingToday && hijriToday.month === 9 ? hijriToday.day : null,
+      night:
+        fastingTomorrow && hijriTomorrow.month === 9 ? hijriTomorrow.day : null,
+      imsak: imsak ? this._toTimeString(imsak) : null,
+      tomorrowImsak: tomorrowImsak ? this._toTimeString(tomorrowImsak) : null,
+      iftarDua: IFTAR_DUA,
+    };
+  }
+
+  _getFastingLog() {
+    return this._context.globalState.get(this._stateKeys.fastingLog, {});
+  }
+
+  /**
+   * Save the fasting log entry for a day, or clear it when `entry` is null.
+   * Missed days remember whether they fell in Ramadan, as only those are
+   * owed as make-up fasts.
+   */
+  async logFast(dateKey, entry) {
+    const log = { ...this._getFastingLog() };
+    if (!entry) {
+      delete log[dateKey];
+    } else if (entry.status === "missed") {
+      // Only real Ramadan days are owed, whatever `ramadanMode` shows.
+      const [year, month, day] = dateKey.split("-").map(Number);
+      const hijri = HijriCalendar.fromDate(
+        new Date(year, month - 1, day),
+        this._getConfiguration().hijriDateAdjustment,
+      );
+      log[dateKey] = {
+        status: "missed",
+        reason: String(entry.reason || "").trim(),
+        ramadan: hijri.month === 9,
+      };
+    } else {
+      log[dateKey] = {
+        status: "fasted",
+        type: FAST_TYPES.includes(entry.type) ? entry.type : "voluntary",
+      };
+    }
+
+    await this._context.globalState.update(this._stateKeys.fastingLog, log);
+    this._pushFastingLogToWebview();
+  }
+
+  _getMakeupFastsOwed(log = this._getFastingLog()) {
+    const entries = Object.values(log);
+    const missed = entries.filter(
+      (entry) => entry.status === "missed" && entry.ramadan,
+    ).length;
+    const madeUp = entries.filter(
+      (entry) => entry.status === "fasted" && entry.type === "makeup",
+    ).length;
+    return Math.max(0, missed - madeUp);
+  }
+
+  _pushFastingLogToWebview() {
+    if (!this._view || !this._view.webview) {
+      return;
+    }
+
+    const log = this._getFastingLog();
+    this._view.webview.postMessage({
+      command: "fastingLogData",
+      log,
+      makeupOwed: this._getMakeupFastsOwed(log),
+    });
+  }
+
+  async exportFastingLog() {
+    const uri = await vscode.window.showSaveDialog({
+      filters: { JSON: ["json"], CSV: ["csv"] },
+      saveLabel: "Export Fasting Log",
+    });
+    if (!uri) {
+      return;
+    }
+
+    const log = this._getFastingLog();
+    const dateKeys = Object.keys(log).sort();
+    const content = uri.path.toLowerCase().endsWith(".csv")
+      ? [
+          "date,status,type,reason,ramadan",
+          ...dateKeys.map((dateKey) => {
+            const entry = log[dateKey];
+            const reason = `"${(entry.reason || "").replace(/"/g, '""')}"`;
+            return `${dateKey},${entry.status},${entry.type || ""},${reason},${Boolean(entry.ramadan)}`;
+          }),
+        ].join("\n")
+      : JSON.stringify(
+          {
+            exportedAt: new Date().toISOString(),
+            makeupOwed: this._getMakeupFastsOwed(log),
+            log,
+          },
+          null,
+          2,
+        );
+
+    try {
+      await vscode.workspace.fs.writeFile(uri, Buffer.from(content, "utf8"));
+      vscode.window.showInformationMessage(
+        `Fasting log exported to ${uri.fsPath}`,
+      );
+    } catch (error) {
+      vscode.window.showErrorMessage(
+        `Could not export the fasting log: ${error.message}`,
+      );
+    }
+  }
+
+  _getHijriForWebview() {
+    // Both dates are sent so the panel can switch at Maghrib by itself.
+    const now = new Date();
+    const tomorrow = new Date(now);
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    const adjustment = this._getConfiguration().hijriDateAdjustment;
+    return {
+      day: HijriCalendar.fromDate(now, adjustment),
+      evening: HijriCalendar.fromDate(tomorrow, adjustment),
+    };
+  }
+
+  _getQibla() {
+    const location = this._context.globalState.get(this._stateKeys.location);
+    if (!location || location.useDirectCityAPI) {
+      return null;
+    }
+
+    const latitude = Number(location.latitude);
+    const longitude = Number(location.longitude);
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+      return null;
+    }
+
+    return PrayerTimesCalculator.getQibla(latitude, longitude);
+  }
+
+  /**
+   * In traveler mode, Dhuhr/Asr and Maghrib/Isha can be prayed together
+   * (jam'): at the first prayer's time (taqdim) or the second's (ta'khir).
+   * Returns the pair a prayer belongs to, or null when not combining.
+   */
+  _getCombinedPrayers(prayerKey, config = this._getConfiguration()) {
+    const mode = config.travelerCombineMode;
+    if (!this._isTravelerModeActive() || !["taqdim", "takhir"].includes(mode)) {
+      return null;
+    }
+
+    const keys = COMBINED_PRAYER_PAIRS.find((pair) => pair.includes(prayerKey));
+    if (!keys) {
+      return null;
+    }
+
+    return {
+      keys,
+      name: keys.join(" & "),
+      leadKey: mode === "taqdim" ? keys[0] : keys[1],
+      mode,
+    };
+  }
+
+  _getTravelerNote(prayerKey, combined) {
+    if (!this._isTravelerModeActive()) {
+      return null;
+    }
+
+    const notes = [];
+    if (combined) {
+      notes.push(combined.mode === "taqdim" ? "jam' taqdim" : "jam' ta'khir");
+    }
+    const shortened = (combined ? combined.keys : [prayerKey]).filter((key) =>
+      QASR_PRAYERS.includes(key),
+    );
+    if (shortened.length > 0) {
+      notes.push(`qasr: 2 rak'ahs for ${shortened.join(" & ")}`);
+    }
+    return notes.length > 0 ? notes.join(", ") : null;
+  }
+
+  _createPrayerCalculator(timeZone = null) {
+    const config = this._getConfiguration();
+    return new PrayerTimesCalculator({
+      method: config.prayerCalculationMethod,
+      customFajrAngle: config.customFajrAngle,
+      customIshaAngle: config.customIshaAngle,
+      customIshaInterval: config.customIshaInterval,
+      asrFactor: config.asrSchool === "hanafi" ? 2 : 1,
+      highLatitudeRule: config.highLatitudeRule,
+      offsets: config.prayerTimeOffsets,
+      timeZone,
+      hijriDateAdjustment: config.hijriDateAdjustment,
+    });
+  }
+
+  /**
+   * Time zone Aladhan reported for a location's coordinates, remembered
+   * with the cached timetable whatever its calculation settings, or null
+   * if the location was never fetched.
+   */
+  _getLocationTimeZone(location) {
+    const timetable = this._context.globalState.get(
+      this._stateKeys.prayerTimetable,
+    );
+    if (!location || !timetable || !timetable.timeZone) {
+      return null;
+    }
+
+    const cached = JSON.parse(timetable.signature);
+    const current = JSON.parse(this._getPrayerTimetableSignature(location));
+    return cached.latitude === current.latitude &&
+      cached.longitude === current.longitude &&
+      cached.city === current.city
+      ? timetable.timeZone
+      : null;
+  }
+
+  _getHighLatitudeAdjustments(location, date) {
+    // The API does not report whether a rule kicked in, so check it locally.
+    if (!location || location.useDirectCityAPI) {
+      return [];
+    }
+
+    const latitude = Number(location.latitude);
+    const longitude = Number(location.longitude);
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+      return [];
+    }
+
+    const calculator = this._createPrayerCalculator();
+    calculator.getTimes(date, latitude, longitude);
+    return calculator.adjustedTimes;
+  }
+
+  async _handleLocationUpdate(location) {
+    if (await this._forwardLocationToPrayerProvider(location)) {
+      await this.refreshPrayerSchedule();
+    }
+  }
+
+  async _handlePrayerTimesRequest(location) {
+    const hasLocationChanged =
+      await this._forwardLocationToPrayerProvider(location);
+    if (hasLocationChanged || !this._isPrayerScheduleCurrent()) {
+      await this.refreshPrayerSchedule();
+      return;
+    }
+
+    this._pushPrayerScheduleToWebview();
+  }
+
+  _isPrayerScheduleCurrent() {
+    const location = this._context.globalState.get(this._stateKeys.location);
+    return Boolean(
+      this._prayerSchedule &&
+      location &&
+      this._prayerSchedule.dateKey === this._toDateKey(new Date()) &&
+      this._prayerSchedule.signature ===
+        this._getPrayerTimetableSignature(location),
+    );
+  }
+
+  /**
+   * Load today's prayer times, schedule every reminder for the day and push
+   * the result to the panel and the Explorer view. Runs on activation, at
+   * midnight and whenever the location or calculation settings change.
+   */
+  async refreshPrayerSchedule() {
+    const now = new Date();
+    const tomorrow = new Date(now);
+    tomorrow.setDate(tomorrow.getDate() + 1);
+
+    const location = this._context.globalState.get(this._stateKeys.location);
+    const today = location ? await this._getPrayerTimes(now, location) : null;
+
+    if (today) {
+      const tomorrowResult = await this._getPrayerTimes(tomorrow, location);
+      this._prayerSchedule = {
+        dateKey: this._toDateKey(now),
+        signature: this._getPrayerTimetableSignature(location),
+        timings: today.timings,
+        tomorrowTimings: tomorrowResult ? tomorrowResult.timings : null,
+        source: today.source,
+        fetchedAt: today.fetchedAt,
+        highLatitudeAdjustments: this._getHighLatitudeAdjustments(
+          location,
+          now,
+        ),
+      };
+      this._schedulePrayerNotifications(
+        this._prayerSchedule.timings,
+        this._prayerSchedule.tomorrowTimings,
+      );
+      this._scheduleSunnahFastReminders(this._prayerSchedule.timings);
+      this._scheduleQadaReminders(this._prayerSchedule.timings);
+      this._scheduleSunWindowNotifications(this._prayerSchedule.timings);
+      this._scheduleTahajjudNotifications(
+        this._prayerSchedule.timings,
+        this._prayerSchedule.tomorrowTimings,
+      );
+      this._scheduleIslamicEventReminders(this._prayerSchedule.timings);
+      this._scheduleRamadanNotifications(
+        this._prayerSchedule.timings,
+        this._prayerSchedule.tomorrowTimings,
+      );
+    } else {
+      this._prayerSchedule = null;
+      this._clearPrayerTimeouts();
+    }
+
+    this._pushPrayerScheduleToWebview();
+    this._pushIslamicEventsToWebview();
+    this._pushPrayerLogToWebview();
+    if (prayerProvider) {
+      prayerProvider.setPrayerSchedule(this._prayerSchedule);
+    }
+    this._updateStatusBar();
+
+    this._schedulePrayerRollover();
+  }
+
+  _pushPrayerScheduleToWebview() {
+    if (!this._view || !this._view.webview) {
+      return;
+    }
+
+    if (!this._prayerSchedule) {
+      if (this._context.globalState.get(this._stateKeys.location)) {
+        this._view.webview.postMessage({ command: "prayerTimesError" });
+      }
+      return;
+    }
+
+    this._view.webview.postMessage({
+      command: "prayerTimesData",
+      prayerTimes: this._prayerSchedule.timings,
+      tomorrowPrayerTimes: this._prayerSchedule.tomorrowTimings,
+      source: this._prayerSchedule.source,
+      fetchedAt: this._prayerSchedule.fetchedAt,
+      highLatitudeAdjustments: this._prayerSchedule.highLatitudeAdjustments,
+      highLatitudeRule: this._getConfiguration().highLatitudeRule,
+      jumuah: this._getJumuahInfo(new Date()),
+      nights: this._getNightsForWebview(),
+      qibla: this._getQibla(),
+      hijri: this._getHijriForWebview(),
+      ramadan: this._getRamadanForWebview(),
+      adhanWindows: this._getAdhanWindows(),
+      sunWindows: this._getSunWindows(
+        this._prayerSchedule.timings,
+        new Date(),
+      ).map((window) => ({
+        ...window,
+        start: this._toTimeString(window.start),
+        end: this._toTimeString(window.end),
+      })),
+    });
+  }
+
+  /**
+   * The nights around today: the one ending at today's Fajr and tonight's,
+   * ending at tomorrow's Fajr. Yesterday's Maghrib is taken as today's minus
+   * a day, which is within a minute or two.
+   */
+  _getNights(timings, tomorrowTimings, now = new Date()) {
+    const tomorrow = new Date(now);
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    const fajr = this._parsePrayerTime(timings.Fajr, now);
+    const maghrib = this._parsePrayerTime(timings.Maghrib, now);
+    const nextFajr = this._parsePrayerTime(
+      (tomorrowTimings || timings).Fajr,
+      tomorrow,
+    );
+
+    const nights = [];
+    if (maghrib && fajr) {
+      const yesterday = new Date(now);
+      yesterday.setDate(yesterday.getDate() - 1);
+      const previousMaghrib = new Date(maghrib);
+      previousMaghrib.setDate(previousMaghrib.getDate() - 1);
+      nights.push({
+        dateKey: this._toDateKey(yesterday),
+        ...PrayerTimesCalculator.getNightTimes(previousMaghrib, fajr),
+        fajr,
+      });
+    }
+    if (maghrib && nextFajr) {
+      nights.push({
+        dateKey: this._toDateKey(now),
+        ...PrayerTimesCalculator.getNightTimes(maghrib, nextFajr),
+        fajr: nextFajr,
+      });
+    }
+    return nights.filter((night) => night.midnight);
+  }
+
+  _scheduleTahajjudNotifications(timings, tomorrowTimings) {
+    const config = this._getConfiguration();
+
+    this._getNights(timings, tomorrowTimings).forEach((night) => {
+      const timeoutKey = `tahajjud_${night.dateKey}`;
+      if (!config.enablePrayerNotifications || !config.enableTahajjudReminder) {
+        this._clearPrayerTimeout(timeoutKey);
+        return;
+      }
+
+      this._setPrayerTimeout(timeoutKey, night.lastThird, () => {
+        void this._runUniquePrayerEvent(
+          `${night.dateKey}:tahajjud`,
+          async () => {
+            vscode.window.showInformationMessage(
+              `🌙 The last third of the night has begun, time for Tahajjud and Witr before Fajr (${this._toTimeString(night.fajr)})`,
+            );
+          },
+        );
+      });
+    });
+  }
+
+  _getNightsForWebview() {
+    const nights = {};
+    this._getNights(
+      this._prayerSchedule.timings,
+      this._prayerSchedule.tomorrowTimings,
+    ).forEach((night) => {
+      const name =
+        night.dateKey === this._toDateKey(new Date()) ? "tonight" : "previous";
+      nights[name] = {
+        midnight: this._toTimeString(night.midnight),
+        lastThird: this._toTimeString(night.lastThird),
+      };
+    });
+    return nights;
+  }
+
+  _getSunWindows(timings, day) {
+    const times = {};
+    ["Sunrise", "Dhuhr", "Sunset", "Maghrib"].forEach((name) => {
+      times[name] = this._parsePrayerTime(timings[name], day);
+    });
+    return PrayerTimesCalculator.getSunWindows(times);
+  }
+
+  _scheduleSunWindowNotifications(timings) {
+    const config = this._getConfiguration();
+    const now = new Date();
+    const dateKey = this._toDateKey(now);
+
+    this._getSunWindows(timings, now).forEach((window) => {
+      const timeoutKey = `${window.key}_window`;
+      const enabled =
+        config.enablePrayerNotifications &&
+        (window.makruh
+          ? config.enableMakruhNotifications
+          : config.enableDuhaReminder);
+      if (!enabled) {
+        this._clearPrayerTimeout(timeoutKey);
+        return;
+      }
+
+      this._setPrayerTimeout(timeoutKey, window.start, () => {
+        void this._runUniquePrayerEvent(
+          `${dateKey}:${window.key}`,
+          async () => {
+            const until = this._toTimeString(window.end);
+            vscode.window.showInformationMessage(
+              window.makruh
+                ? `${window.name}: avoid voluntary prayer until ${until}`
+                : `Ishraq / Duha time has begun (until ${until})`,
+            );
+          },
+        );
+      });
+    });
+  }
+
+  _isJumuah(prayerKey, date, config = this._getConfiguration()) {
+    // Travelers pray Dhuhr (shortened) instead of Jumu'ah.
+    return (
+      prayerKey === "Dhuhr" &&
+      config.enableJumuahMode &&
+      date.getDay() === 5 &&
+      !this._isTravelerModeActive()
+    );
+  }
+
+  _getPrayerDisplayName(prayerKey, date, config = this._getConfiguration()) {
+    return this._isJumuah(prayerKey, date, config) ? JUMUAH_NAME : prayerKey;
+  }
+
+  _getJumuahInfo(date) {
+    const config = this._getConfiguration();
+    if (!this._isJumuah("Dhuhr", date, config)) {
+      return null;
+    }
+
+    const khutbahTime = this._parsePrayerTime(config.jumuahKhutbahTime, date);
+    return {
+      name: JUMUAH_NAME,
+      khutbahTime: khutbahTime ? this._toTimeString(khutbahTime) : null,
+    };
+  }
+
+  _schedulePrayerRollover() {
+    this._clearPrayerRolloverTimeout();
+
+    // Recompute shortly after local midnight instead of relying on a 24h interval.
+    const nextMidnight = new Date();
+    nextMidnight.setHours(24, 0, 5, 0);
+    this._prayerRolloverTimeout = setTimeout(() => {
+      this._prayerRolloverTimeout = null;
+      void this.refreshPrayerSchedule();
+    }, nextMidnight - new Date());
+  }
+
+  _clearPrayerRolloverTimeout() {
+    if (this._prayerRolloverTimeout) {
+      clearTimeout(this._prayerRolloverTimeout);
+      this._prayerRolloverTimeout = null;
+    }
+  }
+
+  _startClockWatch() {
+    this._stopClockWatch();
+    this._lastClockTick = Date.now();
+
+    this._clockWatchInterval = setInterval(() => {
+      const now = Date.now();
+      const elapsed = now - this._lastClockTick;
+      this._lastClockTick = now;
+
+      // A tick far later than expected (or going backwards) means sleep/resume or a clock change.
+      if (
+        elapsed < 0 ||
+        elapsed > CLOCK_WATCH_INTERVAL_MS + CLOCK_JUMP_TOLERANCE_MS
+      ) {
+        void this._handleClockJump();
+      }
+    }, CLOCK_WATCH_INTERVAL_MS);
+  }
+
+  _stopClockWatch() {
+    if (this._clockWatchInterval) {
+      clearInterval(this._clockWatchInterval);
+      this._clockWatchInterval = null;
+    }
+  }
+
+  _startStatusBar() {
+    this._stopStatusBar();
+    this._statusBarItem = vscode.window.createStatusBarItem(
+      vscode.StatusBarAlignment.Left,
+      100,
+    );
+    this._statusBarItem.command = "islamic-shoky.prayer.showTimetable";
+    this._updateStatusBar();
+    this._statusBarInterval = setInterval(
+      () => this._updateStatusBar(),
+      STATUS_BAR_REFRESH_MS,
+    );
+  }
+
+  _stopStatusBar() {
+    if (this._statusBarInterval) {
+      clearInterval(this._statusBarInterval);
+      this._statusBarInterval = null;
+    }
+    if (this._statusBarItem) {
+      this._statusBarItem.dispose();
+      this._statusBarItem = null;
+    }
+  }
+
+  /**
+   * Show the time left to the next adhan, or to the iqama while inside a
+   * prayer's iqama window, from the host schedule. The prayer lock takes
+   * over the item until it is released.
+   */
+  _updateStatusBar(now = new Date()) {
+    const item = this._statusBarItem;
+    if (!item) {
+      return;
+    }
+
+    const config = this._getConfiguration();
+    if (!config.showPrayerStatusBar || !config.enablePrayerTimes) {
+      item.hide();
+      return;
+    }
+
+    if (this._isPrayerLockActive) {
+      item.text = `$(bell) Pray ${this._prayerLockPrayerName} now`;
+      item.tooltip = "It's time to pray. Click for today's prayer times";
+      item.backgroundColor = new vscode.ThemeColor(
+        "statusBarItem.errorBackground",
+      );
+      item.show();
+      return;
+    }
+
+    const times = this._getTimetableForStatusBar(now);
+    if (!times) {
+      item.hide();
+      return;
+    }
+
+    const iqama = times.find(
+      (time) => time.urgent && time.adhan <= now && now < time.urgent,
+    );
+    if (iqama) {
+      item.text = `$(megaphone) ${iqama.name} ${iqama.iqama ? "iqama" : "GO PRAY NOW"} in ${this._formatCountdown(iqama.urgent - now)}`;
+      item.tooltip = `${iqama.iqama ? "Iqama" : "GO PRAY NOW reminder"} at ${this._toTimeString(iqama.urgent)}. Click for today's prayer times`;
+      item.backgroundColor = new vscode.ThemeColor(
+        "statusBarItem.warningBackground",
+      );
+      item.show();
+      return;
+    }
+
+    const next = times.find((time) => time.adhan > now);
+    item.text = `$(clock) ${next.name} in ${this._formatCountdown(next.adhan - now)}`;
+    item.tooltip = `${next.name} at ${this._toTimeString(next.adhan)}. Click for today's prayer times`;
+    item.backgroundColor = undefined;
+    item.show();
+  }
+
+  /**
+   * Today's five prayers and tomorrow's Fajr as dates, with iqama times
+   * where configured and the GO PRAY NOW time that ends each adhan window,
+   * or null when there is no schedule for today.
+   */
+  _getTimetableForStatusBar(now) {
+    if (
+      !this._prayerSchedule ||
+      this._prayerSchedule.dateKey !== this._toDateKey(now)
+    ) {
+      return null;
+    }
+
+    const config = this._getConfiguration();
+    const times = ["Fajr", "Dhuhr", "Asr", "Maghrib", "Isha"]
+      .map((key) => {
+        const adhan = this._parsePrayerTime(
+          this._prayerSchedule.timings[key],
+          now,
+        );
+        return adhan
+          ? {
+              key,
+              name: this._getPrayerDisplayName(key, now, config),
+              adhan,
+              iqama: this._getIqamaTime(key, adhan, config),
+              urgent: this._getUrgentTime(key, adhan, config),
+            }
+          : null;
+      })
+      .filter(Boolean);
+
+    const tomorrow = new Date(now);
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    const tomorrowFajr = this._parsePrayerTime(
+      (this._prayerSchedule.tomorrowTimings || this._prayerSchedule.timings)
+        .Fajr,
+      tomorrow,
+    );
+    if (tomorrowFajr) {
+      times.push({
+        key: "Fajr",
+        name: "Fajr",
+        adhan: tomorrowFajr,
+        iqama: null,
+        urgent: null,
+        tomorrow: true,
+      });
+    }
+    return times.length ? times : null;
+  }
+
+  /**
+   * Windows from each adhan to its GO PRAY NOW time as timestamps, during
+   * which the panel shows the dua after the adhan.
+   */
+  _getAdhanWindows(now = new Date()) {
+    const config = this._getConfiguration();
+    const times = this._getTimetableForStatusBar(now);
+    if (!config.showAdhanDua || !times) {
+      return [];
+    }
+
+    return times
+      .filter((time) => time.urgent)
+      .map((time) => ({
+        name: time.name,
+        start: time.adhan.getTime(),
+        end: time.urgent.getTime(),
+      }));
+  }
+
+  _showAdhanDua(prayerName) {
+    const config = this._getConfiguration();
+    if (!config.showAdhanDua) {
+      return;
+    }
+
+    if (this._view && this._view.webview) {
+      this._view.webview.postMessage({ command: "showAdhanDua" });
+    }
+
+    if (config.adhanDuaModal) {
+      void vscode.window.showInformationMessage(`🕌 ${prayerName} adhan`, {
+        modal: true,
+        detail: `${ADHAN_DUA.note}\n\n${ADHAN_DUA.arabic}\n\n${ADHAN_DUA.translation}`,
+      });
+    }
+  }
+
+  _formatCountdown(milliseconds) {
+    const totalMinutes = Math.max(0, Math.ceil(milliseconds / 60000));
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+  }
+
+  async showPrayerTimetable() {
+    const now = new Date();
+    const timetable = this._getTimetableForStatusBar(now);
+    if (!timetable) {
+      vscode.window.showInformationMessage(
+        "Prayer times are not available yet. Set your location first.",
+      );
+      return;
+    }
+
+    const config = this._getConfiguration();
+    const times = timetable.filter((time) => !time.tomorrow);
+    const next = times.find((time) => time.adhan > now);
+    const sunrise = this._parsePrayerTime(
+      this._prayerSchedule.timings.Sunrise,
+      now,
+    );
+    if (sunrise) {
+      times.push({ name: "Sunrise", adhan: sunrise, iqama: null });
+      times.sort((a, b) => a.adhan - b.adhan);
+    }
+
+    await vscode.window.showQuickPick(
+      times.map((time) => ({
+        label: `${time === next ? "$(arrow-right)" : time.adhan <= now ? "$(check)" : "$(clock)"} ${time.name}`,
+        description: this._toTimeString(time.adhan),
+        detail: [
+          time.iqama ? `Iqama ${this._toTimeString(time.iqama)}` : "",
+          time === next ? `in ${this._formatCountdown(time.adhan - now)}` : "",
+        ]
+          .filter(Boolean)
+          .join(" · "),
+      })),
+      {
+        title: `Prayer times for ${now.toLocaleDateString(undefined, {
+          weekday: "long",
+          day: "numeric",
+          month: "long",
+        })}`,
+        placeHolder: this._isTravelerModeActive()
+          ? "Traveler mode: prayers are shortened and combined"
+          : config.enableJumuahMode && now.getDay() === 5
+            ? "Jumu'ah Mubarak"
+            : "Today's prayer times",
+      },
     );
+  }
 
-    // Clean up when webview is disposed
-    webviewView.onDidDispose(() => {
-      // Only clear intervals, but preserve audio state if audio is playing
-      webviewView.webview.postMessage({
-        command: "cleanup",
-        preserveAudio: this._currentAudioState !== null,
-      });
-    });
+  async _handleClockJump() {
+    console.log("Clock jump detected, recomputing prayer schedule");
+    try {
+      await this.refreshPrayerSchedule();
+      await this._checkMissedPrayers();
+    } catch (error) {
+      console.error("Error recomputing the prayer schedule:", error);
+    }
+  }
 
-    // Track visibility changes
-    webviewView.onDidChangeVisibility(() => {
-      const isVisible = webviewView.visible;
-      webviewView.webview.postMessage({
-        command: "panelVisibilityChanged",
-        visible: isVisible,
-      });
-    });
+  /**
+   * Find prayers whose adhan passed while VS Code was closed or the machine
+   * slept, and ask about all of them in a single summary.
+   */
+  async _checkMissedPrayers() {
+    const config = this._getConfiguration();
+    if (
+      !config.enablePrayerNotifications ||
+      !config.enablePrayerReminderSystem
+    ) {
+      return;
+    }
 
-    // Send initial visibility state
-    webviewView.webview.postMessage({
-      command: "panelVisibilityChanged",
-      visible: webviewView.visible,
-    });
+    const lastNotified = this._context.globalState.get(
+      this._stateKeys.lastPrayerNotified,
+    );
+    if (!lastNotified || !lastNotified.notifiedAt) {
+      return;
+    }
 
-    // Hydrate the panel with persisted location as soon as the webview is ready.
-    setTimeout(() => {
-      this._sendSavedLocationToWebview(webviewView);
-    }, 300);
+    const now = new Date();
+    const since = new Date(
+      Math.max(
+        new Date(lastNotified.notifiedAt).getTime(),
+        now.getTime() - MISSED_PRAYER_LOOKBACK_MS,
+      ),
+    );
+    const responses = this._context.globalState.get(
+      this._stateKeys.prayerResponses,
+      {},
+    );
 
-    // Restore audio state if there was one
-    if (this._currentAudioState) {
-      setTimeout(() => {
-        webviewView.webview.postMessage({
-          command: "restoreAudioState",
-          audioState: this._currentAudioState,
+    // A prayer only counts once its time is over, at the next adhan, so
+    // the prayer still in progress is left to the live reminders.
+    const prayers = [];
+    const day = new Date(since);
+    day.setHours(0, 0, 0, 0);
+    while (day <= now) {
+      const result = await this._getPrayerTimes(day);
+      if (result) {
+        ["Fajr", "Dhuhr", "Asr", "Maghrib", "Isha"].forEach((key) => {
+          const prayerDate = this._parsePrayerTime(result.timings[key], day);
+          if (prayerDate && prayerDate <= now) {
+            prayers.push({
+              key,
+              prayerDate,
+              responseKey: `${this._toDateKey(day)}:${key}`,
+            });
+          }
         });
-      }, 1000); // Give webview time to initialize
+      }
+      day.setDate(day.getDate() + 1);
     }
 
-    // Start 5-minute reminder system
-    this._startReminderSystem();
+    const missedPrayers = prayers
+      .filter(
+        (prayer, index) =>
+          index < prayers.length - 1 &&
+          prayer.prayerDate > since &&
+          !this._hasPrayed(responses[prayer.responseKey]),
+      )
+      .map((prayer) => ({
+        ...prayer,
+        name: this._getPrayerDisplayName(prayer.key, prayer.prayerDate, config),
+      }));
+
+    if (missedPrayers.length === 0) {
+      return;
+    }
+
+    const eventKey = `catchup:${missedPrayers
+      .map((prayer) => prayer.responseKey)
+      .join(",")}`;
+    await this._runUniquePrayerEvent(eventKey, async () => {
+      const latest = missedPrayers[missedPrayers.length - 1];
+      await this._setLastPrayerNotified(latest.name, latest.prayerDate);
+
+      const todayKey = this._toDateKey(now);
+      const labels = missedPrayers.map((prayer) =>
+        prayer.responseKey.startsWith(todayKey)
+          ? prayer.name
+          : `${prayer.name} (${prayer.prayerDate.toLocaleDateString()})`,
+      );
+      const summary =
+        labels.length === 1
+          ? labels[0]
+          : `${labels.slice(0, -1).join(", ")} and ${labels[labels.length - 1]}`;
+
+      const selection = await vscode.window.showInformationMessage(
+        `You missed the ${summary} ${labels.length === 1 ? "check" : "checks"} while away — did you pray?`,
+        "Yes, Alhamdulillah",
+        "Answer each",
+      );
+
+      if (selection === "Yes, Alhamdulillah") {
+        missedPrayers.forEach((prayer) => {
+          responses[prayer.responseKey] = true;
+        });
+      } else if (selection === "Answer each") {
+        for (let i = 0; i < missedPrayers.length; i++) {
+          const answer = await vscode.window.showInformationMessage(
+            `Did you pray ${labels[i]}?`,
+            "Yes, Alhamdulillah",
+            "No",
+          );
+          if (answer === "Yes, Alhamdulillah") {
+            responses[missedPrayers[i].responseKey] = true;
+          } else if (answer === "No") {
+            responses[missedPrayers[i].responseKey] = false;
+          }
+        }
+      } else {
+        return;
+      }
+
+      await this._savePrayerResponses(responses);
+    });
   }
 
-  async _handleLocationRequest(webviewView) {
-    const choice = await vscode.window.showInformationMessage(
-      "Islamic Shoky would like to detect your location for accurate prayer times. How would you like to proceed?",
-      "Auto-detect Location",
-      "Enter Location Manually",
-      "Cancel",
+  /**
+   * Resolve prayer times for a date from the cached monthly timetable,
+   * refreshing it from Aladhan once a day. Falls back to stale cache and
+   * then to the offline calculator when the network is unavailable.
+   */
+  async _getPrayerTimes(date = new Date(), location = null) {
+    const activeLocation =
+      location || this._context.globalState.get(this._stateKeys.location);
+    if (!activeLocation) {
+      return null;
+    }
+
+    const dateKey = this._toDateKey(date);
+    const signature = this._getPrayerTimetableSignature(activeLocation);
+    let timetable = this._context.globalState.get(
+      this._stateKeys.prayerTimetable,
     );
+    const isCurrent = timetable && timetable.signature === signature;
+    const isFresh =
+      isCurrent &&
+      timetable.days[dateKey] &&
+      Date.now() - timetable.fetchedAt < 24 * 60 * 60 * 1000;
+
+    let isOffline = false;
+    if (!isFresh) {
+      try {
+        timetable = await this._refreshPrayerTimetable(activeLocation);
+      } catch (error) {
+        console.log("Prayer timetable refresh failed:", error);
+        isOffline = true;
+      }
+    }
 
-    if (choice === "Auto-detect Location") {
-      webviewView.webview.postMessage({
-        command: "enableIPLocation",
-      });
-    } else if (choice === "Enter Location Manually") {
-      this._setLocationManually(webviewView);
+    if (
+      timetable &&
+      timetable.signature === signature &&
+      timetable.days[dateKey]
+    ) {
+      return {
+        timings: timetable.days[dateKey],
+        fetchedAt: timetable.fetchedAt,
+        source: isOffline ? "cache" : "network",
+      };
     }
-  }
 
-  async _setLocationManually(webviewView) {
-    const city = await vscode.window.showInputBox({
-      prompt: "Enter your city name (e.g., Cairo, New York, London, Dubai)",
-      placeHolder: "City name (try with country if not found: Cairo, Egypt)",
-      value: "",
+    // Nothing cached for these settings: calculate locally if we have coordinates.
+    const latitude = Number(activeLocation.latitude);
+    const longitude = Number(activeLocation.longitude);
+    if (
+      activeLocation.useDirectCityAPI ||
+      !Number.isFinite(latitude) ||
+      !Number.isFinite(longitude)
+    ) {
+      return null;
+    }
+
+    const times = this._createPrayerCalculator(
+      this._getLocationTimeZone(activeLocation),
+    ).getTimes(date, latitude, longitude);
+    const timings = {};
+    Object.keys(times).forEach((name) => {
+      if (times[name]) {
+        timings[name] = this._toTimeString(times[name]);
+      }
     });
 
-    if (city) {
-      webviewView.webview.postMessage({
-        command: "setManualLocation",
-        city: city,
-      });
-    }
+    return { timings, fetchedAt: Date.now(), source: "calculated" };
   }
 
-  _handleLocationDataRequest(webviewView) {
-    // Request location data from the webview and forward it to prayer provider
-    webviewView.webview.postMessage({
-      command: "requestCurrentLocation",
+  _getPrayerTimetableSignature(location) {
+    return JSON.stringify({
+      latitude: location.useDirectCityAPI ? null : location.latitude,
+      longitude: location.useDirectCityAPI ? null : location.longitude,
+      city: location.useDirectCityAPI ? location.city : null,
+      query: this._getPrayerApiQuery(this._getConfiguration()),
     });
   }
 
-  _sendSavedLocationToWebview(webviewView) {
-    const savedLocation = this._context.globalState.get(
-      this._stateKeys.location,
-    );
+  async _refreshPrayerTimetable(location, today = new Date()) {
+    if (this._prayerTimetableRefresh) {
+      return this._prayerTimetableRefresh;
+    }
 
-    if (savedLocation) {
-      webviewView.webview.postMessage({
-        command: "savedLocation",
-        location: savedLocation,
-      });
+    this._prayerTimetableRefresh = (async () => {
+      // Keep a rolling window from yesterday to 30 days ahead, downloading
+      // every month it touches.
+      const firstDay = new Date(today);
+      firstDay.setHours(0, 0, 0, 0);
+      firstDay.setDate(firstDay.getDate() - 1);
+      const lastDay = new Date(firstDay);
+      lastDay.setDate(lastDay.getDate() + 31);
+
+      const months = [];
+      const monthStart = new Date(
+        firstDay.getFullYear(),
+        firstDay.getMonth(),
+        1,
+      );
+      while (monthStart <= lastDay) {
+        months.push({
+          year: monthStart.getFullYear(),
+          month: monthStart.getMonth() + 1,
+        });
+        monthStart.setMonth(monthStart.getMonth() + 1);
+      }
+
+      const days = {};
+      let timeZone = null;
+      for (const { year, month } of months) {
+        const entries = await this._fetchPrayerCalendar(location, year, month);
+        entries.forEach((entry) => {
+          timeZone = timeZone || (entry.meta && entry.meta.timezone) || null;
+          const [day, entryMonth, entryYear] = entry.date.gregorian.date
+            .split("-")
+            .map(Number);
+          const entryDate = new Date(entryYear, entryMonth - 1, day);
+          if (entryDate < firstDay || entryDate > lastDay) {
+            return;
+          }
+
+          const timings = {};
+          Object.keys(entry.timings).forEach((name) => {
+            // Calendar timings carry the timezone, e.g. "04:12 (CEST)".
+            timings[name] = String(entry.timings[name]).replace(
+              /\s*\(.*\)$/,
+              "",
+            );
+          });
+          days[this._toDateKey(entryDate)] = timings;
+        });
+      }
+
+      const timetable = {
+        signature: this._getPrayerTimetableSignature(location),
+        fetchedAt: Date.now(),
+        timeZone,
+        days,
+      };
+      await this._context.globalState.update(
+        this._stateKeys.prayerTimetable,
+        timetable,
+      );
+      return timetable;
+    })();
+
+    try {
+      return await this._prayerTimetableRefresh;
+    } finally {
+      this._prayerTimetableRefresh = null;
     }
   }
 
-  _forwardLocationToPrayerProvider(location) {
-    if (!location) {
-      return;
+  async _fetchPrayerCalendar(location, year, month) {
+    const query = this._getPrayerApiQuery(this._getConfiguration());
+    const url =
+      location.useDirectCityAPI && location.city
+        ? `https://api.aladhan.com/v1/calendarByCity/${year}/${month}?city=${encodeURIComponent(location.city)}&country=&${query}`
+        : `https://api.aladhan.com/v1/calendar/${year}/${month}?latitude=${location.latitude}&longitude=${location.longitude}&${query}`;
+
+    const data = await this._requestJson(url);
+    if (data.code !== 200 || !Array.isArray(data.data)) {
+      throw new Error("Invalid prayer calendar response");
     }
+    return data.data;
+  }
 
-    // Persist location so prayer data can load on startup without waiting for the webview.
-    this._context.globalState.update(this._stateKeys.location, location);
+  _requestJson(url, timeoutMs = 10000) {
+    return new Promise((resolve, reject) => {
+      const request = https.get(url, (response) => {
+        if (response.statusCode !== 200) {
+          response.resume();
+          reject(
+            new Error(`Request failed with status ${response.statusCode}`),
+          );
+          return;
+        }
 
-    // Forward location data to the prayer provider
-    if (prayerProvider) {
-      prayerProvider.currentLocation = location;
-      prayerProvider.refresh();
-    }
+        let body = "";
+        response.setEncoding("utf8");
+        response.on("data", (chunk) => {
+          body += chunk;
+        });
+        response.on("end", () => {
+          try {
+            resolve(JSON.parse(body));
+          } catch (error) {
+            reject(error);
+          }
+        });
+      });
+
+      request.setTimeout(timeoutMs, () => {
+        request.destroy(new Error("Request timed out"));
+      });
+      request.on("error", reject);
+    });
   }
 
   _handleTasksDataRequest(webviewView) {
@@ -543,8 +2909,14 @@ class SidebarProvider {
     );
 
     // Handle process completion
-    this._audioProcess.on("close", (code) => {
+    const audioProcess = this._audioProcess;
+    audioProcess.on("close", (code) => {
       console.log("Background audio process finished with code:", code);
+      if (audioProcess.stoppedManually) {
+        // Already cleaned up by _stopBackgroundAudio, and a newer process
+        // may be playing by now.
+        return;
+      }
       const wasManualStop = this._isStoppingAudio;
       this._isStoppingAudio = false;
       this._audioProcess = null;
@@ -568,8 +2940,11 @@ class SidebarProvider {
       }
     });
 
-    this._audioProcess.on("error", (error) => {
+    audioProcess.on("error", (error) => {
       console.log("Background audio process error:", error);
+      if (audioProcess.stoppedManually) {
+        return;
+      }
       this._isStoppingAudio = false;
       this._audioProcess = null;
       this._currentAudioState = null;
@@ -610,10 +2985,12 @@ class SidebarProvider {
     );
   }
 
-  _stopBackgroundAudio() {
+  _stopBackgroundAudio(notify = true) {
     if (this._audioProcess) {
       console.log("Stopping background audio process");
       this._isStoppingAudio = true;
+      // Its close event arrives after this returns, so mark the process too.
+      this._audioProcess.stoppedManually = true;
       this._audioProcess.kill();
       this._audioProcess = null;
       this._currentAudioState = null;
@@ -631,7 +3008,9 @@ class SidebarProvider {
         });
       }
 
-      vscode.window.showInformationMessage("Quran playback stopped");
+      if (notify) {
+        vscode.window.showInformationMessage("Quran playback stopped");
+      }
     }
     this._isStoppingAudio = false;
   }
@@ -812,26 +3191,183 @@ class SidebarProvider {
         return shell;
       }
     }
-    return null;
+    return null;
+  }
+
+  _escapeForPowerShellSingleQuote(value) {
+    return String(value).replace(/'/g, "''");
+  }
+
+  _spawnWindowsAudioProcess(source) {
+    const shell = this._getWindowsPowerShellCommand();
+    if (!shell) {
+      console.log(
+        "No PowerShell executable found on Windows for audio playback",
+      );
+      return null;
+    }
+
+    const safeSource = this._escapeForPowerShellSingleQuote(source);
+    const script = `$ErrorActionPreference='Stop';\n$player = New-Object -ComObject WMPlayer.OCX;\n$media = $player.newMedia('${safeSource}');\n$null = $player.currentPlaylist.appendItem($media);\n$player.controls.play();\nwhile ($player.playState -ne 1) { Start-Sleep -Milliseconds 250 }`;
+
+    return spawn(shell, ["-NoProfile", "-NonInteractive", "-Command", script]);
+  }
+
+  /**
+   * Adhan recording for a prayer: Fajr's own file, then Fajr's own muezzin,
+   * then the general file, then the general muezzin. Missing files are
+   * skipped. Takbir mode plays `adhanTakbirFile` whole, or the reminder
+   * chime when it is not set, rather than cutting an adhan short.
+   */
+  _getAdhanSource(prayerKey, config = this._getConfiguration()) {
+    if (config.adhanAudio === "takbir") {
+      if (config.adhanTakbirFile && fs.existsSync(config.adhanTakbirFile)) {
+        return config.adhanTakbirFile;
+      }
+      return path.join(
+        this._context.extensionPath,
+        "sounds",
+        "salah-notification.mp3",
+      );
+    }
+
+    const isFajr = prayerKey === "Fajr";
+    const sources = [
+      isFajr && config.fajrAdhanFile,
+      isFajr &&
+        config.fajrAdhanMuezzin !== "same" &&
+        ADHAN_MUEZZINS[config.fajrAdhanMuezzin],
+      config.adhanFile,
+      ADHAN_MUEZZINS[config.adhanMuezzin],
+    ].filter(Boolean);
+
+    for (const source of sources) {
+      if (typeof source !== "string") {
+        return source.url;
+      }
+      if (fs.existsSync(source)) {
+        return source;
+      }
+      console.log("Adhan file not found:", source);
+    }
+    return ADHAN_MUEZZINS.islamcan1.url;
+  }
+
+  _playAdhan(prayerKey) {
+    const config = this._getConfiguration();
+    if (config.adhanAudio !== "full" && config.adhanAudio !== "takbir") {
+      return;
+    }
+
+    this.stopAdhan();
+    this._pauseQuranForAdhan();
+
+    const source = this._getAdhanSource(prayerKey, config);
+    const adhanProcess = this._spawnAdhanProcess(source);
+    if (!adhanProcess) {
+      console.log("No suitable audio player found for the adhan");
+      this._resumeQuranAfterAdhan();
+      return;
+    }
+
+    this._adhanProcess = adhanProcess;
+    const finish = () => {
+      if (this._adhanProcess !== adhanProcess) {
+        return;
+      }
+      this._adhanProcess = null;
+      this._resumeQuranAfterAdhan();
+    };
+    adhanProcess.on("close", finish);
+    adhanProcess.on("error", (error) => {
+      console.log("Adhan audio process error:", error);
+      finish();
+    });
+  }
+
+  _spawnAdhanProcess(source) {
+    const isUrl = /^https?:\/\//.test(source);
+    const platform = process.platform;
+
+    if (platform === "win32") {
+      return this._spawnWindowsAudioProcess(source);
+    }
+
+    if (platform === "darwin") {
+      // afplay cannot stream, so URLs are piped from curl in their own
+      // process group, which stopAdhan kills as a whole.
+      return isUrl
+        ? spawn("sh", ["-c", `curl -s "${source}" | afplay -`], {
+            detached: true,
+          })
+        : spawn("afplay", [source]);
+    }
+
+    const players = {
+      mpv: ["--no-video", "--quiet", source],
+      cvlc: ["--intf", "dummy", "--play-and-exit", source],
+      ffplay: ["-nodisp", "-autoexit", "-loglevel", "quiet", source],
+      mpg123: ["-q", source],
+      mplayer: ["-really-quiet", source],
+    };
+    const selectedPlayer = this._findAvailableCommand(Object.keys(players));
+    return selectedPlayer
+      ? spawn(selectedPlayer, players[selectedPlayer])
+      : null;
+  }
+
+  stopAdhan() {
+    const adhanProcess = this._adhanProcess;
+    if (!adhanProcess) {
+      return;
+    }
+
+    console.log("Stopping adhan audio process");
+    try {
+      if (adhanProcess.spawnargs[0] === "sh") {
+        process.kill(-adhanProcess.pid);
+      } else {
+        adhanProcess.kill();
+      }
+    } catch (error) {
+      adhanProcess.kill();
+    }
+    // The close handler resumes the Quran once the player has exited.
   }
 
-  _escapeForPowerShellSingleQuote(value) {
-    return String(value).replace(/'/g, "''");
-  }
+  /**
+   * Pause Quran playback for the adhan. The panel's player pauses in place;
+   * native playback is stopped and its surah restarted afterwards.
+   */
+  _pauseQuranForAdhan() {
+    if (this._view && this._view.webview) {
+      this._view.webview.postMessage({ command: "pauseForAdhan" });
+    }
 
-  _spawnWindowsAudioProcess(source) {
-    const shell = this._getWindowsPowerShellCommand();
-    if (!shell) {
-      console.log(
-        "No PowerShell executable found on Windows for audio playback",
-      );
-      return null;
+    if (
+      this._audioProcess &&
+      this._currentAudioState &&
+      !this._currentAudioState.isWebviewFallback
+    ) {
+      this._quranPausedForAdhan = { ...this._currentAudioState };
+      this._stopBackgroundAudio(false);
     }
+  }
 
-    const safeSource = this._escapeForPowerShellSingleQuote(source);
-    const script = `$ErrorActionPreference='Stop';\n$player = New-Object -ComObject WMPlayer.OCX;\n$media = $player.newMedia('${safeSource}');\n$null = $player.currentPlaylist.appendItem($media);\n$player.controls.play();\nwhile ($player.playState -ne 1) { Start-Sleep -Milliseconds 250 }`;
+  _resumeQuranAfterAdhan() {
+    if (this._view && this._view.webview) {
+      this._view.webview.postMessage({ command: "resumeAfterAdhan" });
+    }
 
-    return spawn(shell, ["-NoProfile", "-NonInteractive", "-Command", script]);
+    const pausedAudio = this._quranPausedForAdhan;
+    this._quranPausedForAdhan = null;
+    if (pausedAudio && !this._audioProcess) {
+      this._playQuranBackground(
+        pausedAudio.audioUrl,
+        pausedAudio.surah,
+        pausedAudio.reciter,
+      );
+    }
   }
 
   _handleAzkarChanged(azkar) {
@@ -890,9 +3426,45 @@ class SidebarProvider {
       enablePomodoro: config.get("enablePomodoro", true),
       enableTodoList: config.get("enableTodoList", true),
       enableQuranAudio: config.get("enableQuranAudio", true),
+      enableIslamicEvents: config.get("enableIslamicEvents", true),
+      enableIslamicEventReminders: config.get(
+        "enableIslamicEventReminders",
+        false,
+      ),
+      enableFastingLog: config.get("enableFastingLog", true),
+      showPrayerStatusBar: config.get("showPrayerStatusBar", true),
+      enablePrayerTracker: config.get("enablePrayerTracker", true),
+      qadaDailyTarget: config.get("qadaDailyTarget", 0),
+      adhanAudio: config.get("adhanAudio", "off"),
+      showAdhanDua: config.get("showAdhanDua", true),
+      adhanDuaModal: config.get("adhanDuaModal", false),
+      adhanMuezzin: config.get("adhanMuezzin", "islamcan1"),
+      adhanFile: config.get("adhanFile", ""),
+      fajrAdhanMuezzin: config.get("fajrAdhanMuezzin", "same"),
+      fajrAdhanFile: config.get("fajrAdhanFile", ""),
+      adhanTakbirFile: config.get("adhanTakbirFile", ""),
+      ramadanMode: config.get("ramadanMode", "auto"),
+      suhoorReminderMinutes: config.get("suhoorReminderMinutes", 30),
+      enableMondayThursdayFastReminder: config.get(
+        "enableMondayThursdayFastReminder",
+        false,
+      ),
+      enableWhiteDaysFastReminder: config.get(
+        "enableWhiteDaysFastReminder",
+        false,
+      ),
+      enableAshuraFastReminder: config.get("enableAshuraFastReminder", false),
+      enableArafahFastReminder: config.get("enableArafahFastReminder", false),
+      enableShawwalFastReminder: config.get("enableShawwalFastReminder", false),
       focusDuration: config.get("focusDuration", 25),
       breakDuration: config.get("breakDuration", 5),
       prayerCalculationMethod: config.get("prayerCalculationMethod", "2"),
+      customFajrAngle: config.get("customFajrAngle", 18),
+      customIshaAngle: config.get("customIshaAngle", 17),
+      customIshaInterval: config.get("customIshaInterval", 0),
+      asrSchool: config.get("asrSchool", "standard"),
+      highLatitudeRule: config.get("highLatitudeRule", "angleBased"),
+      prayerTimeOffsets: config.get("prayerTimeOffsets", {}),
       enableNotifications: config.get("enableNotifications", true),
       customAzkar: config.get("customAzkar", []),
       azkarChangeDelay: config.get("azkarChangeDelay", 30),
@@ -907,6 +3479,18 @@ class SidebarProvider {
       ),
       iqamaPrepareDelayMinutes: config.get("iqamaPrepareDelayMinutes", 15),
       iqamaUrgentDelayMinutes: config.get("iqamaUrgentDelayMinutes", 20),
+      iqamaTimes: config.get("iqamaTimes", {}),
+      iqamaSeasonalTimes: config.get("iqamaSeasonalTimes", []),
+      iqamaPrepareLeadMinutes: config.get("iqamaPrepareLeadMinutes", 5),
+      enableMakruhNotifications: config.get("enableMakruhNotifications", false),
+      enableDuhaReminder: config.get("enableDuhaReminder", false),
+      enableTahajjudReminder: config.get("enableTahajjudReminder", false),
+      hijriDateAdjustment: config.get("hijriDateAdjustment", 0),
+      travelerDistanceKm: config.get("travelerDistanceKm", 88),
+      travelerCombineMode: config.get("travelerCombineMode", "taqdim"),
+      enableJumuahMode: config.get("enableJumuahMode", true),
+      jumuahKhutbahTime: config.get("jumuahKhutbahTime", ""),
+      jumuahLeaveReminderMinutes: config.get("jumuahLeaveReminderMinutes", 30),
       previousPrayerRepeatDelayMinutes: config.get(
         "previousPrayerRepeatDelayMinutes",
         10,
@@ -920,8 +3504,51 @@ class SidebarProvider {
     }
   }
 
+  _getPrayerApiQuery(config) {
+    const params = [
+      `method=${encodeURIComponent(config.prayerCalculationMethod)}`,
+      `school=${config.asrSchool === "hanafi" ? 1 : 0}`,
+      `latitudeAdjustmentMethod=${HIGH_LATITUDE_RULES[config.highLatitudeRule] || HIGH_LATITUDE_RULES.angleBased}`,
+    ];
+
+    // Offsets go through Aladhan's `tune` so every consumer of the fetched times sees them.
+    const offsets = config.prayerTimeOffsets || {};
+    if (PRAYER_TUNE_ORDER.some((name) => Number(offsets[name]))) {
+      const tune = PRAYER_TUNE_ORDER.map((name) =>
+        Math.round(Number(offsets[name]) || 0),
+      ).join(",");
+      params.push(`tune=${encodeURIComponent(tune)}`);
+    }
+
+    // Aladhan expects custom angles as "fajr,maghrib,isha" with an optional "min" interval.
+    if (config.prayerCalculationMethod === CUSTOM_CALCULATION_METHOD) {
+      const isha =
+        config.customIshaInterval > 0
+          ? `${config.customIshaInterval} min`
+          : `${config.customIshaAngle}`;
+      const methodSettings = `${config.customFajrAngle},null,${isha}`;
+      params.push(`methodSettings=${encodeURIComponent(methodSettings)}`);
+    }
+
+    return params.join("&");
+  }
+
   _getHtmlForWebview() {
     const config = this._getConfiguration();
+    const prayerApiQuery = this._getPrayerApiQuery(config);
+    // The first enabled tab is shown until the script restores the last one.
+    const tabs = {
+      prayer: config.enablePrayerTimes,
+      azkar: config.enableAzkar,
+      pomodoro: config.enablePomodoro,
+      tasks: config.enableTodoList,
+      quran: config.enableQuranAudio,
+      tracker: config.enablePrayerTracker,
+      events: config.enableIslamicEvents,
+      fasting: config.enableFastingLog,
+    };
+    const firstTab = Object.keys(tabs).find((tab) => tabs[tab]);
+    const activeClass = (tab) => (tab === firstTab ? " active" : "");
     return `<!DOCTYPE html>
 		<html lang="en">
 		<head>
@@ -1072,6 +3699,62 @@ class SidebarProvider {
 					text-align: center;
 				}
 				
+				.hijri-date {
+					margin-bottom: 6px;
+				}
+				
+				.hijri-date-ar {
+					font-size: 1.1em;
+					font-weight: bold;
+				}
+				
+				.hijri-date-en {
+					font-size: 0.8em;
+					color: var(--vscode-descriptionForeground);
+				}
+				
+				.ramadan-card {
+					margin-bottom: 8px;
+					padding: 6px 8px;
+					border-radius: 4px;
+					border-left: 3px solid var(--vscode-textLink-foreground);
+					background-color: var(--vscode-editor-inactiveSelectionBackground);
+				}
+				
+				.ramadan-title {
+					font-weight: bold;
+				}
+				
+				.ramadan-countdown {
+					font-size: 0.9em;
+				}
+				
+				.ramadan-dua {
+					margin-top: 6px;
+				}
+				
+				.ramadan-dua-ar {
+					font-size: 1.1em;
+					margin-bottom: 2px;
+				}
+				
+				.adhan-dua-card {
+					margin-bottom: 8px;
+					padding: 6px 8px;
+					border-radius: 4px;
+					border-left: 3px solid var(--vscode-charts-green);
+					background-color: var(--vscode-editor-inactiveSelectionBackground);
+				}
+				
+				.adhan-dua-title {
+					font-weight: bold;
+				}
+				
+				.adhan-dua-ar {
+					font-size: 1.1em;
+					margin: 4px 0 2px;
+				}
+				
 				.next-azan {
 					font-size: 1.4em;
 					font-weight: bold;
@@ -1111,6 +3794,113 @@ class SidebarProvider {
 					font-weight: bold;
 				}
 				
+				.sun-windows {
+					margin-top: 10px;
+					font-size: 0.85em;
+				}
+				
+				.sun-window {
+					display: flex;
+					justify-content: space-between;
+					padding: 3px 6px;
+					border-radius: 4px;
+					color: var(--vscode-descriptionForeground);
+				}
+				
+				.sun-window.makruh.active {
+					color: var(--vscode-editorWarning-foreground);
+					background: var(--vscode-inputValidation-warningBackground);
+				}
+				
+				.sun-window.duha.active {
+					color: var(--vscode-foreground);
+					background: var(--vscode-list-hoverBackground);
+				}
+				
+				.qibla-section {
+					align-items: center;
+					gap: 12px;
+					margin-top: 12px;
+				}
+				
+				.qibla-compass {
+					position: relative;
+					flex-shrink: 0;
+					width: 64px;
+					height: 64px;
+					border: 2px solid var(--vscode-panel-border);
+					border-radius: 50%;
+				}
+				
+				.qibla-north {
+					position: absolute;
+					top: 2px;
+					left: 50%;
+					transform: translateX(-50%);
+					font-size: 0.7em;
+					font-weight: bold;
+					color: var(--vscode-descriptionForeground);
+				}
+				
+				/* Rotated as a whole so the Kaaba marker sits at the qibla bearing */
+				.qibla-needle {
+					position: absolute;
+					top: 0;
+					left: 0;
+					right: 0;
+					bottom: 0;
+					transition: transform 0.3s ease;
+				}
+				
+				.qibla-needle::before {
+					content: '';
+					position: absolute;
+					top: 14px;
+					bottom: 50%;
+					left: calc(50% - 1px);
+					width: 2px;
+					background: var(--vscode-textLink-foreground);
+				}
+				
+				.qibla-marker {
+					position: absolute;
+					top: -4px;
+					left: 50%;
+					transform: translateX(-50%);
+					font-size: 12px;
+				}
+				
+				.qibla-bearing {
+					font-weight: bold;
+				}
+				
+				.qibla-distance {
+					font-size: 0.8em;
+					color: var(--vscode-descriptionForeground);
+				}
+				
+				.prayer-note {
+					font-size: 0.85em;
+					color: var(--vscode-descriptionForeground);
+				}
+				
+				.prayer-data-age {
+					margin-top: 8px;
+					font-size: 0.75em;
+					color: var(--vscode-descriptionForeground);
+				}
+				
+				.high-latitude-notice {
+					margin-top: 10px;
+					padding: 6px 8px;
+					font-size: 0.8em;
+					color: var(--vscode-editorWarning-foreground);
+					background-color: var(--vscode-textBlockQuote-background);
+					border-left: 3px solid var(--vscode-editorWarning-foreground);
+					border-radius: 4px;
+					text-align: left;
+				}
+				
 				.location-status {
 					margin-bottom: 15px;
 					padding: 10px;
@@ -1498,36 +4288,214 @@ class SidebarProvider {
 					transition: stroke 0.3s ease;
 				}
 				
-				.todo-edit-btn:hover svg {
-					stroke: var(--vscode-textLink-activeForeground);
+				.todo-edit-btn:hover svg {
+					stroke: var(--vscode-textLink-activeForeground);
+				}
+				
+				.todo-delete-btn:hover svg {
+					stroke: var(--vscode-errorForeground);
+				}
+				
+				.todo-edit-input {
+					flex: 1;
+					padding: 4px 8px;
+					border: 1px solid var(--vscode-input-border);
+					border-radius: 3px;
+					background-color: var(--vscode-input-background);
+					color: var(--vscode-input-foreground);
+					font-size: 0.9em;
+				}
+				
+				.todo-stats {
+					text-align: center;
+					font-size: 0.8em;
+					color: var(--vscode-descriptionForeground);
+					margin-top: 10px;
+				}
+				
+				.todo-empty {
+					text-align: center;
+					color: var(--vscode-descriptionForeground);
+					font-style: italic;
+					padding: 20px;
+				}
+				
+				/* Prayer Log Section */
+				.tracker-stats {
+					display: grid;
+					grid-template-columns: repeat(4, 1fr);
+					gap: 6px;
+					margin-bottom: 10px;
+					text-align: center;
+				}
+				
+				.tracker-stat {
+					display: flex;
+					flex-direction: column;
+					padding: 4px;
+					border-radius: 4px;
+					background-color: var(--vscode-editor-inactiveSelectionBackground);
+				}
+				
+				.tracker-stat small {
+					font-size: 0.75em;
+					color: var(--vscode-descriptionForeground);
+				}
+				
+				.tracker-grid {
+					width: 100%;
+					border-collapse: collapse;
+					margin-bottom: 6px;
+					font-size: 0.85em;
+				}
+				
+				.tracker-grid th,
+				.tracker-grid td {
+					padding: 2px;
+					text-align: center;
+				}
+				
+				.tracker-grid td:first-child {
+					text-align: left;
+					white-space: nowrap;
+					color: var(--vscode-descriptionForeground);
+				}
+				
+				.tracker-cell {
+					width: 100%;
+					border: none;
+					border-radius: 3px;
+					cursor: pointer;
+					color: var(--vscode-foreground);
+					background-color: var(--vscode-editor-inactiveSelectionBackground);
+				}
+				
+				.tracker-cell.prayed {
+					color: var(--vscode-charts-green);
+				}
+				
+				.tracker-cell.late {
+					color: var(--vscode-charts-yellow);
+				}
+				
+				.tracker-cell.missed {
+					color: var(--vscode-charts-red);
+				}
+				
+				.tracker-cell:disabled {
+					cursor: default;
+					opacity: 0.4;
+				}
+				
+				/* Islamic Events Section */
+				.events-list {
+					display: flex;
+					flex-direction: column;
+					gap: 6px;
+					margin-bottom: 8px;
+				}
+				
+				.event-item {
+					display: flex;
+					justify-content: space-between;
+					align-items: center;
+					gap: 8px;
+					padding: 6px 8px;
+					border-radius: 4px;
+					background-color: var(--vscode-editor-inactiveSelectionBackground);
+				}
+				
+				.event-item.soon {
+					border-left: 3px solid var(--vscode-textLink-foreground);
+				}
+				
+				.event-name {
+					font-weight: bold;
+				}
+				
+				.event-dates {
+					font-size: 0.85em;
+					color: var(--vscode-descriptionForeground);
+				}
+				
+				.event-countdown {
+					white-space: nowrap;
+					font-size: 0.9em;
+				}
+				
+				/* Fasting Log Section */
+				.fasting-summary {
+					margin-bottom: 8px;
+				}
+				
+				.fasting-heatmap {
+					display: grid;
+					grid-template-rows: repeat(7, 11px);
+					grid-auto-flow: column;
+					grid-auto-columns: 11px;
+					gap: 2px;
+					overflow-x: auto;
+					margin-bottom: 6px;
+				}
+				
+				.fasting-day {
+					display: inline-block;
+					width: 11px;
+					height: 11px;
+					border-radius: 2px;
+					background-color: var(--vscode-editor-inactiveSelectionBackground);
+				}
+				
+				.fasting-heatmap .fasting-day {
+					cursor: pointer;
+				}
+				
+				.fasting-day.obligatory {
+					background-color: var(--vscode-charts-green);
+				}
+				
+				.fasting-day.makeup {
+					background-color: var(--vscode-charts-blue);
+				}
+				
+				.fasting-day.voluntary {
+					background-color: var(--vscode-charts-purple);
 				}
 				
-				.todo-delete-btn:hover svg {
-					stroke: var(--vscode-errorForeground);
+				.fasting-day.missed {
+					background-color: var(--vscode-charts-red);
 				}
 				
-				.todo-edit-input {
-					flex: 1;
-					padding: 4px 8px;
-					border: 1px solid var(--vscode-input-border);
-					border-radius: 3px;
-					background-color: var(--vscode-input-background);
-					color: var(--vscode-input-foreground);
-					font-size: 0.9em;
+				.fasting-day.selected {
+					outline: 1px solid var(--vscode-focusBorder);
 				}
 				
-				.todo-stats {
-					text-align: center;
+				.fasting-day.placeholder {
+					visibility: hidden;
+				}
+				
+				.fasting-legend {
+					display: flex;
+					flex-wrap: wrap;
+					gap: 8px;
 					font-size: 0.8em;
 					color: var(--vscode-descriptionForeground);
-					margin-top: 10px;
+					margin-bottom: 10px;
 				}
 				
-				.todo-empty {
-					text-align: center;
-					color: var(--vscode-descriptionForeground);
-					font-style: italic;
-					padding: 20px;
+				.fasting-legend .fasting-day {
+					margin-right: 4px;
+					vertical-align: middle;
+				}
+				
+				.fasting-form {
+					display: flex;
+					flex-direction: column;
+					gap: 6px;
+				}
+				
+				.fasting-selected {
+					font-weight: bold;
 				}
 				
 				/* Quran Audio Section */
@@ -1947,13 +4915,16 @@ class SidebarProvider {
 				${config.enablePomodoro ? '<button class="tab-button" type="button" data-tab="pomodoro">Pomodoro</button>' : ""}
 				${config.enableTodoList ? '<button class="tab-button" type="button" data-tab="tasks">Tasks</button>' : ""}
 				${config.enableQuranAudio ? '<button class="tab-button" type="button" data-tab="quran">Quran</button>' : ""}
+				${config.enablePrayerTracker ? '<button class="tab-button" type="button" data-tab="tracker">Log</button>' : ""}
+				${config.enableIslamicEvents ? '<button class="tab-button" type="button" data-tab="events">Events</button>' : ""}
+				${config.enableFastingLog ? '<button class="tab-button" type="button" data-tab="fasting">Fasting</button>' : ""}
 			</div>
 			
 			${
         config.enablePrayerTimes
           ? `
 			<!-- Next Azan Section -->
-			<div class="section tab-section tab-prayer active">
+			<div class="section tab-section tab-prayer${activeClass("prayer")}">
 				<div class="section-title">
 					<img src="${
             this._view
@@ -2001,12 +4972,44 @@ class SidebarProvider {
 						Loading prayer times...
 					</div>
 					<div id="prayerContent" style="display: none;">
+						<div class="hijri-date" id="hijriDate" style="display: none;">
+							<div class="hijri-date-ar" id="hijriDateAr" dir="rtl"></div>
+							<div class="hijri-date-en" id="hijriDateEn"></div>
+						</div>
+						<div class="ramadan-card" id="ramadanCard" style="display: none;">
+							<div class="ramadan-title" id="ramadanTitle"></div>
+							<div class="ramadan-countdown" id="ramadanCountdown"></div>
+							<div class="ramadan-dua" id="ramadanDua" style="display: none;">
+								<div class="ramadan-dua-ar" id="ramadanDuaAr" dir="rtl"></div>
+								<div class="prayer-note" id="ramadanDuaEn"></div>
+							</div>
+						</div>
+						<div class="adhan-dua-card" id="adhanDuaCard" style="display: none;">
+							<div class="adhan-dua-title" id="adhanDuaTitle"></div>
+							<div class="prayer-note">${ADHAN_DUA.note}</div>
+							<div class="adhan-dua-ar" dir="rtl">${ADHAN_DUA.arabic}</div>
+							<div class="prayer-note">${ADHAN_DUA.translation}</div>
+						</div>
 						<div class="next-azan" id="nextAzanName">Fajr</div>
 						<div class="azan-time" id="nextAzanTime">05:30 AM</div>
 						<div class="time-remaining" id="timeRemaining">in 2h 15m</div>
 						<div class="prayer-times" id="prayerTimes">
 							<!-- Prayer times will be populated by API -->
 						</div>
+						<div class="sun-windows" id="sunWindows"></div>
+						<div class="sun-windows" id="nightTimes"></div>
+						<div class="qibla-section" id="qiblaSection" style="display: none;">
+							<div class="qibla-compass">
+								<span class="qibla-north">N</span>
+								<div class="qibla-needle" id="qiblaNeedle"><span class="qibla-marker">🕋</span></div>
+							</div>
+							<div class="qibla-info">
+								<div class="qibla-bearing" id="qiblaBearing"></div>
+								<div class="qibla-distance" id="qiblaDistance"></div>
+							</div>
+						</div>
+						<div class="high-latitude-notice" id="highLatitudeNotice" style="display: none;"></div>
+						<div class="prayer-data-age" id="prayerDataAge"></div>
 					</div>
 					<div id="errorMessage" class="error-message" style="display: none;">
 						Unable to fetch prayer times. Please check your location settings.
@@ -2021,7 +5024,7 @@ class SidebarProvider {
         config.enableAzkar
           ? `
 			<!-- Azkar Section -->
-			<div class="section tab-section tab-azkar${config.enablePrayerTimes ? "" : " active"}">
+			<div class="section tab-section tab-azkar${activeClass("azkar")}">
 				<div class="section-title">
 					<img src="${
             this._view
@@ -2063,7 +5066,7 @@ class SidebarProvider {
         config.enablePomodoro
           ? `
 			<!-- Pomodoro Timer Section -->
-			<div class="section tab-section tab-pomodoro${!config.enablePrayerTimes && !config.enableAzkar ? " active" : ""}">
+			<div class="section tab-section tab-pomodoro${activeClass("pomodoro")}">
 				<div class="section-title">
 					<img src="${
             this._view
@@ -2099,7 +5102,7 @@ class SidebarProvider {
         config.enableTodoList
           ? `
 			<!-- Todo List Section -->
-			<div class="section tab-section tab-tasks${!config.enablePrayerTimes && !config.enableAzkar && !config.enablePomodoro ? " active" : ""}">
+			<div class="section tab-section tab-tasks${activeClass("tasks")}">
 				<div class="section-title">
 					<img src="${
             this._view
@@ -2141,7 +5144,7 @@ class SidebarProvider {
         config.enableQuranAudio
           ? `
 			<!-- Quran Audio Section -->
-			<div class="section tab-section tab-quran${!config.enablePrayerTimes && !config.enableAzkar && !config.enablePomodoro && !config.enableTodoList ? " active" : ""}">
+			<div class="section tab-section tab-quran${activeClass("quran")}">
 				<div class="section-title">
 					<img src="${
             this._view
@@ -2282,6 +5285,115 @@ class SidebarProvider {
           : ""
       }
 			
+			${
+        config.enablePrayerTracker
+          ? `
+			<!-- Prayer Log Section -->
+			<div class="section tab-section tab-tracker${activeClass("tracker")}">
+				<div class="section-title">
+					<img src="${
+            this._view
+              ? this._view.webview.asWebviewUri(
+                  vscode.Uri.joinPath(
+                    this._context.extensionUri,
+                    "icons",
+                    "islamic.svg",
+                  ),
+                )
+              : ""
+          }" alt="Prayer Log" class="section-icon">
+					Prayer Log
+				</div>
+				<div class="tracker-stats">
+					<div class="tracker-stat"><strong id="trackerStreak">0</strong><small>day streak</small></div>
+					<div class="tracker-stat"><strong id="trackerBestStreak">0</strong><small>best streak</small></div>
+					<div class="tracker-stat"><strong id="trackerWeek">-</strong><small>last 7 days</small></div>
+					<div class="tracker-stat"><strong id="trackerMonth">-</strong><small>last 30 days</small></div>
+				</div>
+				<div id="trackerGrid"></div>
+				<div class="prayer-note">Click a prayer to change it: ✓ prayed, ◷ late, ✗ missed, · unanswered.</div>
+			</div>
+			`
+          : ""
+      }
+			
+			${
+        config.enableIslamicEvents
+          ? `
+			<!-- Islamic Events Section -->
+			<div class="section tab-section tab-events${activeClass("events")}">
+				<div class="section-title">
+					<img src="${
+            this._view
+              ? this._view.webview.asWebviewUri(
+                  vscode.Uri.joinPath(
+                    this._context.extensionUri,
+                    "icons",
+                    "islamic.svg",
+                  ),
+                )
+              : ""
+          }" alt="Islamic Events" class="section-icon">
+					Islamic Events
+				</div>
+				<div class="events-list" id="eventsList">
+					<div class="todo-empty">Loading events...</div>
+				</div>
+				<div class="prayer-note">Dates are calculated estimates; local moon sighting may differ by a day.</div>
+			</div>
+			`
+          : ""
+      }
+			
+			${
+        config.enableFastingLog
+          ? `
+			<!-- Fasting Log Section -->
+			<div class="section tab-section tab-fasting${activeClass("fasting")}">
+				<div class="section-title">
+					<img src="${
+            this._view
+              ? this._view.webview.asWebviewUri(
+                  vscode.Uri.joinPath(
+                    this._context.extensionUri,
+                    "icons",
+                    "islamic.svg",
+                  ),
+                )
+              : ""
+          }" alt="Fasting Log" class="section-icon">
+					Fasting Log
+				</div>
+				<div class="fasting-summary">
+					Make-up fasts owed: <strong id="makeupOwed">0</strong>
+				</div>
+				<div class="fasting-heatmap" id="fastingHeatmap"></div>
+				<div class="fasting-legend">
+					<span><i class="fasting-day obligatory"></i>Obligatory</span>
+					<span><i class="fasting-day makeup"></i>Make-up</span>
+					<span><i class="fasting-day voluntary"></i>Voluntary</span>
+					<span><i class="fasting-day missed"></i>Missed</span>
+				</div>
+				<div class="fasting-form">
+					<div class="fasting-selected" id="fastingSelectedDate"></div>
+					<select id="fastingStatus" class="todo-input" onchange="updateFastingReason()">
+						<option value="obligatory">Fasted (obligatory)</option>
+						<option value="makeup">Fasted (make-up)</option>
+						<option value="voluntary">Fasted (voluntary)</option>
+						<option value="missed">Missed</option>
+					</select>
+					<input type="text" id="fastingReason" class="todo-input" placeholder="Reason (travel, illness...)" style="display: none;">
+					<div class="todo-filters">
+						<button class="todo-button" onclick="saveFast()">Save</button>
+						<button class="filter-button" onclick="clearFast()">Clear</button>
+						<button class="filter-button" onclick="exportFastingLog()">Export</button>
+					</div>
+				</div>
+			</div>
+			`
+          : ""
+      }
+			
 			<div class="footer">
 				<p>Islamic Shoky Extension v1.30</p>
 				<p>Stay focused, stay blessed 
@@ -2308,6 +5420,21 @@ class SidebarProvider {
 				// Location and Prayer Times Variables
 				let userLocation = null;
 				let prayerTimesData = null;
+				let tomorrowPrayerTimesData = null;
+				let jumuahInfo = null; // Set on Fridays in Jumu'ah mode
+				let sunWindows = []; // Ishraq/Duha and makruh windows for today
+				let hijriDates = null; // Today's Hijri date before and after Maghrib
+				let ramadanInfo = null; // Fasting days around today, null outside Ramadan
+				let islamicEvents = []; // Upcoming occasions, computed by the extension
+				let adhanWindows = []; // Adhan to iqama, as timestamps
+				const adhanWindowAzkar = ${JSON.stringify(ADHAN_WINDOW_AZKAR)};
+				let adhanAzkarIndex = -1;
+				let quranPausedForAdhan = false;
+				let fastingLog = {}; // Fasting entries by date key, stored by the extension
+				let selectedFastingDate = null;
+				let makeupFastsOwed = 0;
+				const prayerStatusIcons = { prayed: '✓', late: '◷', missed: '✗', unanswered: '·' };
+				let nightTimes = {}; // Islamic midnight and last third of the previous night and tonight
 				
 				// Azkar data - combine default and custom
 				const defaultAzkarList = [
@@ -2510,6 +5637,28 @@ class SidebarProvider {
 				loadTodos();
 				initializeQuranPlayer();
 				initializeTabs();
+				vscode.postMessage({ command: 'requestIslamicEvents' });
+				vscode.postMessage({ command: 'requestFastingLog' });
+				vscode.postMessage({ command: 'requestPrayerLog' });
+				const trackerGrid = document.getElementById('trackerGrid');
+				if (trackerGrid) {
+					trackerGrid.addEventListener('click', event => {
+						const cell = event.target.closest('.tracker-cell');
+						if (!cell || cell.disabled) return;
+						const order = ['unanswered', 'prayed', 'late', 'missed'];
+						const next = order[(order.indexOf(cell.dataset.status) + 1) % order.length];
+						vscode.postMessage({ command: 'setPrayerStatus', responseKey: cell.dataset.key, status: next });
+					});
+				}
+				const fastingHeatmap = document.getElementById('fastingHeatmap');
+				if (fastingHeatmap) {
+					fastingHeatmap.addEventListener('click', event => {
+						if (event.target.dataset.date) {
+							selectedFastingDate = event.target.dataset.date;
+							renderFastingLog();
+						}
+					});
+				}
 
 				// Request persisted location from extension storage (single source of truth).
 				vscode.postMessage({
@@ -2544,6 +5693,28 @@ class SidebarProvider {
 								localStorage.setItem('islamicShokyLocation', JSON.stringify(userLocation));
 							}
 							break;
+						case 'prayerTimesData':
+							handlePrayerTimesData(message);
+							break;
+						case 'islamicEventsData':
+							islamicEvents = message.events || [];
+							renderIslamicEvents();
+							break;
+						case 'fastingLogData':
+							fastingLog = message.log || {};
+							makeupFastsOwed = message.makeupOwed;
+							renderFastingLog();
+							break;
+						case 'showAdhanDua':
+							displayAdhanDua();
+							break;
+						case 'prayerLogData':
+							renderPrayerLog(message);
+							break;
+						case 'prayerTimesError':
+							hideLoading();
+							showError('Unable to fetch prayer times. Please check your internet connection or try a different location.');
+							break;
 						case 'enableIPLocation':
 							requestIPLocation();
 							break;
@@ -2729,6 +5900,26 @@ class SidebarProvider {
 							if (currentPlaying2) currentPlaying2.style.display = 'none';
 							if (audioStateChip2) audioStateChip2.textContent = 'Stopped';
 							break;
+						case 'pauseForAdhan': {
+							const audio = document.getElementById('quranAudio');
+							if (audio && !audio.paused) {
+								audio.pause();
+								quranPausedForAdhan = true;
+								const chip = document.getElementById('audioStateChip');
+								if (chip) chip.textContent = 'Paused for adhan';
+							}
+							break;
+						}
+						case 'resumeAfterAdhan': {
+							const audio = document.getElementById('quranAudio');
+							if (audio && quranPausedForAdhan) {
+								quranPausedForAdhan = false;
+								audio.play().catch(error => console.error('Could not resume Quran audio:', error));
+								const chip = document.getElementById('audioStateChip');
+								if (chip) chip.textContent = 'Playing';
+							}
+							break;
+						}
 						case 'playWebviewAudio':
 							// Fallback to webview audio when system audio fails
 							playWebviewAudioFallback(message.audioUrl, message.surah, message.reciter);
@@ -2859,7 +6050,7 @@ class SidebarProvider {
 						userLocation = detectedLocation;
 						saveLocation();
 						updateLocationDisplay();
-						await fetchPrayerTimes();
+						fetchPrayerTimes();
 
 						vscode.postMessage({
 							command: 'alert',
@@ -2936,9 +6127,7 @@ class SidebarProvider {
 						// Method 3: Try direct prayer times API with city name
 						if (!locationData) {
 							try {
-								const testResponse = await fetch(\`https://api.aladhan.com/v1/timingsByCity?city=\${encodeURIComponent(city)}&country=&method=${
-                  config.prayerCalculationMethod
-                }\`);
+								const testResponse = await fetch(\`https://api.aladhan.com/v1/timingsByCity?city=\${encodeURIComponent(city)}&country=&${prayerApiQuery}\`);
 								const testData = await testResponse.json();
 								
 								if (testData.code === 200 && testData.data && testData.data.timings) {
@@ -2960,7 +6149,7 @@ class SidebarProvider {
 							userLocation = locationData;
 							saveLocation();
 							updateLocationDisplay();
-							await fetchPrayerTimes();
+							fetchPrayerTimes();
 						} else {
 							throw new Error(\`Unable to find location: \${city}. Please try:\\n- Full city name (e.g., "Cairo, Egypt")\\n- Different spelling\\n- Major city nearby\`);
 						}
@@ -3033,87 +6222,435 @@ class SidebarProvider {
 					});
 
 					localStorage.setItem('islamicShokyActiveTab', tabName);
+					
+					// Prayers become due during the day, so refresh the log when it is shown
+					if (tabName === 'tracker') {
+						vscode.postMessage({ command: 'requestPrayerLog' });
+					}
 				}
 				
-				async function fetchPrayerTimes() {
+				function fetchPrayerTimes() {
 					if (!userLocation) return;
 					
+					// The extension owns the timetable and schedule; it answers (and later pushes) 'prayerTimesData'.
 					showLoading();
-					try {
-						const today = new Date();
-						const dateString = \`\${today.getDate()}-\${today.getMonth() + 1}-\${today.getFullYear()}\`;
-						
-						let response;
+					vscode.postMessage({
+						command: 'requestPrayerTimes',
+						location: userLocation
+					});
+				}
+				
+				function handlePrayerTimesData(message) {
+					prayerTimesData = message.prayerTimes;
+					tomorrowPrayerTimesData = message.tomorrowPrayerTimes;
+					jumuahInfo = message.jumuah || null;
+					sunWindows = message.sunWindows || [];
+					nightTimes = message.nights || {};
+					updateQibla(message.qibla);
+					hijriDates = message.hijri || null;
+					ramadanInfo = message.ramadan || null;
+					adhanWindows = message.adhanWindows || [];
+					displayPrayerTimes();
+					updatePrayerDataAge(message.source, message.fetchedAt);
+					updateHighLatitudeNotice(message.highLatitudeAdjustments, message.highLatitudeRule);
+					hideLoading();
+					showPrayerContent();
+				}
+				
+				function updatePrayerDataAge(source, fetchedAt) {
+					const ageElement = document.getElementById('prayerDataAge');
+					if (!ageElement) return;
+					
+					if (source === 'calculated') {
+						ageElement.textContent = 'Offline: calculated on this device';
+						return;
+					}
+					
+					const ageMinutes = Math.max(0, Math.floor((Date.now() - fetchedAt) / 60000));
+					let age = 'just now';
+					if (ageMinutes >= 24 * 60) {
+						const days = Math.floor(ageMinutes / (24 * 60));
+						age = days === 1 ? '1 day ago' : \`\${days} days ago\`;
+					} else if (ageMinutes >= 60) {
+						age = \`\${Math.floor(ageMinutes / 60)}h ago\`;
+					} else if (ageMinutes > 0) {
+						age = \`\${ageMinutes} min ago\`;
+					}
+					
+					ageElement.textContent = source === 'cache'
+						? \`Offline: using times cached \${age}\`
+						: \`Updated \${age}\`;
+				}
+				
+				function getPrayerList() {
+					return [
+						{ name: 'Fajr', key: 'Fajr' },
+						{ name: jumuahInfo ? jumuahInfo.name : 'Dhuhr', key: 'Dhuhr' },
+						{ name: 'Asr', key: 'Asr' },
+						{ name: 'Maghrib', key: 'Maghrib' },
+						{ name: 'Isha', key: 'Isha' }
+					];
+				}
+				
+				function displayPrayerTimes() {
+					if (!prayerTimesData) return;
+					
+					const prayers = getPrayerList();
+					
+					// Display all prayer times, with Sunrise shown but never the "next prayer"
+					const displayedTimes = [prayers[0], { name: 'Sunrise', key: 'Sunrise' }, ...prayers.slice(1)];
+					const prayerTimesContainer = document.getElementById('prayerTimes');
+					prayerTimesContainer.innerHTML = displayedTimes.map(prayer => {
+						const time = prayerTimesData[prayer.key];
+						const formattedTime = formatTime(time);
+						const khutbah = prayer.key === 'Dhuhr' && jumuahInfo && jumuahInfo.khutbahTime
+							? \` <span class="prayer-note">(khutbah \${formatTime(jumuahInfo.khutbahTime)})</span>\`
+							: '';
+						return \`
+							<div class="prayer-time">
+								<span class="prayer-name">\${prayer.name}:</span>
+								<span>\${formattedTime}\${khutbah}</span>
+							</div>
+						\`;
+					}).join('');
+					
+					displaySunWindows();
+					displayNightTimes();
+					displayHijriDate();
+					displayRamadan();
+					displayAdhanDua();
+					
+					// Find and display next prayer
+					updateNextPrayer(prayers);
+				}
+				
+				function displaySunWindows() {
+					const container = document.getElementById('sunWindows');
+					if (!container) return;
+					
+					const now = new Date();
+					const currentMinutes = now.getHours() * 60 + now.getMinutes();
+					container.innerHTML = sunWindows.map(sunWindow => {
+						const start = parsePrayerMinutes(sunWindow.start);
+						const end = parsePrayerMinutes(sunWindow.end);
+						const isActive = start !== null && end !== null && currentMinutes >= start && currentMinutes < end;
+						const classes = ['sun-window', sunWindow.makruh ? 'makruh' : 'duha', isActive ? 'active' : ''].join(' ');
+						return \`
+							<div class="\${classes}">
+								<span>\${sunWindow.makruh ? '⚠️' : '☀️'} \${sunWindow.name}</span>
+								<span>\${formatTime(sunWindow.start)} – \${formatTime(sunWindow.end)}</span>
+							</div>
+						\`;
+					}).join('');
+				}
+				
+				function displayNightTimes() {
+					const container = document.getElementById('nightTimes');
+					if (!container) return;
+					
+					// Until today's Fajr, the night that began yesterday is still running
+					const now = new Date();
+					const fajrMinutes = parsePrayerMinutes(prayerTimesData && prayerTimesData.Fajr);
+					const beforeFajr = fajrMinutes !== null && now.getHours() * 60 + now.getMinutes() < fajrMinutes;
+					const night = beforeFajr ? nightTimes.previous : nightTimes.tonight;
+					if (!night) {
+						container.innerHTML = '';
+						return;
+					}
+					
+					container.innerHTML = \`
+						<div class="sun-window">
+							<span>🌙 Islamic midnight</span>
+							<span>\${formatTime(night.midnight)}</span>
+						</div>
+						<div class="sun-window">
+							<span>✨ Last third of the night</span>
+							<span>\${formatTime(night.lastThird)}</span>
+						</div>
+					\`;
+				}
+				
+				function displayHijriDate() {
+					const element = document.getElementById('hijriDate');
+					if (!element) return;
+					
+					if (!hijriDates) {
+						element.style.display = 'none';
+						return;
+					}
+					
+					// The Hijri day begins at Maghrib
+					const now = new Date();
+					const maghribMinutes = parsePrayerMinutes(prayerTimesData && prayerTimesData.Maghrib);
+					const afterMaghrib = maghribMinutes !== null && now.getHours() * 60 + now.getMinutes() >= maghribMinutes;
+					const hijri = afterMaghrib ? hijriDates.evening : hijriDates.day;
+					
+					document.getElementById('hijriDateAr').textContent = hijri.formattedAr;
+					document.getElementById('hijriDateEn').textContent = hijri.formattedEn;
+					element.style.display = 'block';
+				}
+				
+				function formatDuration(totalMinutes) {
+					return \`\${Math.floor(totalMinutes / 60)}h \${totalMinutes % 60}m\`;
+				}
+				
+				function displayRamadan() {
+					const card = document.getElementById('ramadanCard');
+					if (!card) return;
+					
+					if (!ramadanInfo) {
+						card.style.display = 'none';
+						return;
+					}
+					
+					const now = new Date();
+					const currentMinutes = now.getHours() * 60 + now.getMinutes();
+					const imsak = parsePrayerMinutes(ramadanInfo.imsak);
+					const fajr = parsePrayerMinutes(prayerTimesData.Fajr);
+					const maghrib = parsePrayerMinutes(prayerTimesData.Maghrib);
+					const isha = parsePrayerMinutes(prayerTimesData.Isha);
+					const afterMaghrib = maghrib !== null && currentMinutes >= maghrib;
+					
+					let title = '🌙 Ramadan';
+					if (afterMaghrib && ramadanInfo.night) {
+						title += \` · Night \${ramadanInfo.night}\`;
+					} else if (!afterMaghrib && ramadanInfo.day) {
+						title += \` · Day \${ramadanInfo.day}\`;
+					} else if (!ramadanInfo.fastingToday) {
+						title += ' begins tonight';
+					}
+					
+					let countdown = '';
+					if (ramadanInfo.fastingToday && fajr !== null && currentMinutes < fajr) {
+						countdown = imsak !== null && currentMinutes < imsak
+							? \`Suhoor ends in \${formatDuration(imsak - currentMinutes)} (Imsak \${formatTime(ramadanInfo.imsak)})\`
+							: \`Stop eating, Fajr in \${formatDuration(fajr - currentMinutes)}\`;
+					} else if (ramadanInfo.fastingToday && maghrib !== null && currentMinutes < maghrib) {
+						countdown = \`Iftar in \${formatDuration(maghrib - currentMinutes)} (\${formatTime(prayerTimesData.Maghrib)})\`;
+					} else if (ramadanInfo.fastingTomorrow && afterMaghrib && ramadanInfo.tomorrowImsak) {
+						const minutes = 24 * 60 - currentMinutes + parsePrayerMinutes(ramadanInfo.tomorrowImsak);
+						countdown = \`Suhoor ends in \${formatDuration(minutes)} (Imsak \${formatTime(ramadanInfo.tomorrowImsak)})\`;
+					}
+					
+					// The iftar dua stays up from Maghrib until Isha
+					const dua = document.getElementById('ramadanDua');
+					if (ramadanInfo.fastingToday && afterMaghrib && (isha === null || currentMinutes < isha)) {
+						document.getElementById('ramadanDuaAr').textContent = ramadanInfo.iftarDua.arabic;
+						document.getElementById('ramadanDuaEn').textContent = ramadanInfo.iftarDua.translation;
+						dua.style.display = 'block';
+					} else {
+						dua.style.display = 'none';
+					}
+					
+					document.getElementById('ramadanTitle').textContent = title;
+					document.getElementById('ramadanCountdown').textContent = countdown;
+					card.style.display = 'block';
+				}
+				
+				function getAdhanWindow() {
+					const now = Date.now();
+					return adhanWindows.find(window => window.start <= now && now < window.end) || null;
+				}
+				
+				function displayAdhanDua() {
+					const card = document.getElementById('adhanDuaCard');
+					if (!card) return;
+					
+					const adhanWindow = getAdhanWindow();
+					if (!adhanWindow) {
+						card.style.display = 'none';
+						return;
+					}
+					
+					document.getElementById('adhanDuaTitle').textContent = \`🕌 \${adhanWindow.name} adhan\`;
+					card.style.display = 'block';
+				}
+				
+				function parseDateKey(dateKey) {
+					const [year, month, day] = dateKey.split('-').map(Number);
+					return new Date(year, month - 1, day);
+				}
+				
+				function renderIslamicEvents() {
+					const list = document.getElementById('eventsList');
+					if (!list) return;
+					
+					if (islamicEvents.length === 0) {
+						list.innerHTML = '<div class="todo-empty">No upcoming events</div>';
+						return;
+					}
+					
+					const now = new Date();
+					const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+					list.innerHTML = islamicEvents.map(event => {
+						const start = parseDateKey(event.dateKey);
+						const end = event.endDateKey ? parseDateKey(event.endDateKey) : start;
+						const days = Math.round((start - today) / 86400000);
+						const ongoing = days <= 0 && end >= today;
 						
-						// Use city-based API if available, otherwise use coordinates
-						if (userLocation.useDirectCityAPI && userLocation.city) {
-							response = await fetch(
-								\`https://api.aladhan.com/v1/timingsByCity/\${dateString}?city=\${encodeURIComponent(userLocation.city)}&method=${
-                  config.prayerCalculationMethod
-                }\`
-							);
+						// Night events begin at Maghrib the evening before their date
+						let countdown;
+						if (event.night) {
+							countdown = days <= 1 ? 'Tonight' : days === 2 ? 'Tomorrow night' : \`in \${days - 1} days\`;
 						} else {
-							response = await fetch(
-								\`https://api.aladhan.com/v1/timings/\${dateString}?latitude=\${userLocation.latitude}&longitude=\${userLocation.longitude}&method=${
-                  config.prayerCalculationMethod
-                }\`
-							);
-						}
-						
-						if (!response.ok) {
-							throw new Error('API request failed');
+							countdown = ongoing ? 'Today' : days === 1 ? 'Tomorrow' : \`in \${days} days\`;
 						}
 						
-						const data = await response.json();
-						
-						if (data.code === 200 && data.data && data.data.timings) {
-							prayerTimesData = data.data.timings;
-							
-							// Send prayer times to extension for notification scheduling
-							vscode.postMessage({
-								command: 'prayerTimesFetched',
-								prayerTimes: prayerTimesData
-							});
-							
-							displayPrayerTimes();
-							hideLoading();
-							showPrayerContent();
-						} else {
-							throw new Error('Invalid API response');
-						}
-					} catch (error) {
-						console.error('Prayer times fetch error:', error);
-						hideLoading();
-						showError('Unable to fetch prayer times. Please check your internet connection or try a different location.');
+						const gregorian = start.toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' });
+						return \`
+							<div class="event-item\${days <= 1 ? ' soon' : ''}">
+								<div>
+									<div class="event-name">\${event.name}</div>
+									<div class="event-dates">\${event.hijriEn} · \${event.night ? 'eve of ' : ''}\${gregorian}</div>
+								</div>
+								<span class="event-countdown">\${countdown}</span>
+							</div>
+						\`;
+					}).join('');
+				}
+				
+				function renderPrayerLog(log) {
+					const grid = document.getElementById('trackerGrid');
+					if (!grid) return;
+					
+					const formatRate = rate => rate.percent === null ? '-' : \`\${rate.percent}%\`;
+					document.getElementById('trackerStreak').textContent = log.streak;
+					document.getElementById('trackerBestStreak').textContent = log.bestStreak;
+					document.getElementById('trackerWeek').textContent = formatRate(log.week);
+					document.getElementById('trackerMonth').textContent = formatRate(log.month);
+					
+					// Two weeks fit the sidebar; older entries still count towards the stats
+					const rows = log.days.slice(0, 14).map(day => {
+						const [year, month, date] = day.dateKey.split('-').map(Number);
+						const label = new Date(year, month - 1, date).toLocaleDateString(undefined, { weekday: 'short', day: 'numeric' });
+						const cells = day.prayers.map(prayer => \`
+							<td>
+								<button type="button" class="tracker-cell \${prayer.status}" data-key="\${prayer.responseKey}" data-status="\${prayer.status}"
+									title="\${prayer.key}: \${prayer.status}"\${prayer.due ? '' : ' disabled'}>\${prayerStatusIcons[prayer.status]}</button>
+							</td>
+						\`).join('');
+						return \`<tr><td>\${label}</td>\${cells}</tr>\`;
+					}).join('');
+					grid.innerHTML = \`
+						<table class="tracker-grid">
+							<tr><th></th><th>Fajr</th><th>Dhuhr</th><th>Asr</th><th>Magh.</th><th>Isha</th></tr>
+							\${rows}
+						</table>
+					\`;
+				}
+				
+				function toDateKey(date) {
+					return [
+						date.getFullYear(),
+						String(date.getMonth() + 1).padStart(2, '0'),
+						String(date.getDate()).padStart(2, '0')
+					].join('-');
+				}
+				
+				function getFastingClass(entry) {
+					if (!entry) return '';
+					return entry.status === 'missed' ? 'missed' : entry.type;
+				}
+				
+				function renderFastingLog() {
+					const heatmap = document.getElementById('fastingHeatmap');
+					if (!heatmap) return;
+					
+					// The last 20 weeks, one column per week starting on Sunday
+					const today = new Date();
+					today.setHours(0, 0, 0, 0);
+					const start = new Date(today);
+					start.setDate(start.getDate() - 19 * 7 - today.getDay());
+					if (!selectedFastingDate) {
+						selectedFastingDate = toDateKey(today);
 					}
+					
+					const cells = [];
+					for (const day = new Date(start); day <= today; day.setDate(day.getDate() + 1)) {
+						const dateKey = toDateKey(day);
+						const entry = fastingLog[dateKey];
+						const label = entry
+							? (entry.status === 'missed' ? \`missed\${entry.reason ? ' (' + entry.reason.replace(/[<>"&]/g, '') + ')' : ''}\` : \`\${entry.type} fast\`)
+							: 'not logged';
+						const classes = ['fasting-day', getFastingClass(entry), dateKey === selectedFastingDate ? 'selected' : ''].join(' ');
+						cells.push(\`<span class="\${classes}" data-date="\${dateKey}" title="\${dateKey}: \${label}"></span>\`);
+					}
+					heatmap.innerHTML = cells.join('');
+					document.getElementById('makeupOwed').textContent = makeupFastsOwed;
+					
+					const [year, month, day] = selectedFastingDate.split('-').map(Number);
+					document.getElementById('fastingSelectedDate').textContent =
+						new Date(year, month - 1, day).toLocaleDateString(undefined, { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+					const entry = fastingLog[selectedFastingDate];
+					document.getElementById('fastingStatus').value = entry ? getFastingClass(entry) : 'obligatory';
+					document.getElementById('fastingReason').value = entry && entry.reason ? entry.reason : '';
+					updateFastingReason();
 				}
 				
-				function displayPrayerTimes() {
-					if (!prayerTimesData) return;
+				function updateFastingReason() {
+					const missed = document.getElementById('fastingStatus').value === 'missed';
+					document.getElementById('fastingReason').style.display = missed ? 'block' : 'none';
+				}
+				
+				function saveFast() {
+					const status = document.getElementById('fastingStatus').value;
+					vscode.postMessage({
+						command: 'logFast',
+						dateKey: selectedFastingDate,
+						entry: status === 'missed'
+							? { status: 'missed', reason: document.getElementById('fastingReason').value }
+							: { status: 'fasted', type: status }
+					});
+				}
+				
+				function clearFast() {
+					vscode.postMessage({ command: 'logFast', dateKey: selectedFastingDate, entry: null });
+				}
+				
+				function exportFastingLog() {
+					vscode.postMessage({ command: 'exportFastingLog' });
+				}
+				
+				function updateQibla(qibla) {
+					const section = document.getElementById('qiblaSection');
+					if (!section) return;
 					
-					const prayers = [
-						{ name: 'Fajr', key: 'Fajr' },
-						{ name: 'Dhuhr', key: 'Dhuhr' },
-						{ name: 'Asr', key: 'Asr' },
-						{ name: 'Maghrib', key: 'Maghrib' },
-						{ name: 'Isha', key: 'Isha' }
-					];
+					if (!qibla) {
+						section.style.display = 'none';
+						return;
+					}
 					
-					// Display all prayer times
-					const prayerTimesContainer = document.getElementById('prayerTimes');
-					prayerTimesContainer.innerHTML = prayers.map(prayer => {
-						const time = prayerTimesData[prayer.key];
-						const formattedTime = formatTime(time);
-						return \`
-							<div class="prayer-time">
-								<span class="prayer-name">\${prayer.name}:</span>
-								<span>\${formattedTime}</span>
-							</div>
-						\`;
-					}).join('');
+					const bearing = Math.round(qibla.bearing);
+					document.getElementById('qiblaNeedle').style.transform = \`rotate(\${qibla.bearing}deg)\`;
+					document.getElementById('qiblaBearing').textContent = \`Qibla \${bearing}° \${qibla.direction}\`;
+					document.getElementById('qiblaDistance').textContent =
+						\`\${Math.round(qibla.distanceKm).toLocaleString()} km to the Kaaba · clockwise from true north\`;
+					section.style.display = 'flex';
+				}
+				
+				function updateHighLatitudeNotice(adjustedTimes, rule) {
+					const notice = document.getElementById('highLatitudeNotice');
+					if (!notice) return;
 					
-					// Find and display next prayer
-					updateNextPrayer(prayers);
+					if (!adjustedTimes || adjustedTimes.length === 0) {
+						notice.style.display = 'none';
+						return;
+					}
+					
+					const ruleLabels = {
+						middleOfTheNight: 'Middle of the night',
+						oneSeventh: 'One-seventh of the night',
+						angleBased: 'Angle-based'
+					};
+					notice.textContent = \`⚠️ High-latitude rule (\${ruleLabels[rule] || ruleLabels.angleBased}) applied to \${adjustedTimes.join(' and ')}\`;
+					notice.style.display = 'block';
+				}
+				
+				function parsePrayerMinutes(time) {
+					// Aladhan may append a timezone, e.g. "04:12 (CEST)"
+					const match = /^(\\d{1,2}):(\\d{2})/.exec(String(time || '').trim());
+					if (!match) return null;
+					return Number(match[1]) * 60 + Number(match[2]);
 				}
 				
 				function updateNextPrayer(prayers) {
@@ -3122,8 +6659,8 @@ class SidebarProvider {
 					
 					for (let prayer of prayers) {
 						const prayerTime = prayerTimesData[prayer.key];
-						const [hours, minutes] = prayerTime.split(':').map(Number);
-						const prayerTimeMinutes = hours * 60 + minutes;
+						const prayerTimeMinutes = parsePrayerMinutes(prayerTime);
+						if (prayerTimeMinutes === null) continue;
 						
 						if (prayerTimeMinutes > currentTimeMinutes) {
 							const diff = prayerTimeMinutes - currentTimeMinutes;
@@ -3139,11 +6676,17 @@ class SidebarProvider {
 					}
 					
 					// If no prayer today, show tomorrow's Fajr
-					const tomorrowFajr = prayerTimesData['Fajr'];
-					const [fajrHours, fajrMinutes] = tomorrowFajr.split(':').map(Number);
+					const tomorrowFajr = (tomorrowPrayerTimesData || prayerTimesData)['Fajr'];
+					const fajrMinutesOfDay = parsePrayerMinutes(tomorrowFajr);
+					if (fajrMinutesOfDay === null) {
+						document.getElementById('nextAzanName').textContent = 'Fajr (Tomorrow)';
+						document.getElementById('nextAzanTime').textContent = '--:--';
+						document.getElementById('timeRemaining').textContent = '';
+						return;
+					}
 					const tomorrow = new Date();
 					tomorrow.setDate(tomorrow.getDate() + 1);
-					tomorrow.setHours(fajrHours, fajrMinutes, 0, 0);
+					tomorrow.setHours(0, fajrMinutesOfDay, 0, 0);
 					
 					const diff = tomorrow - now;
 					const hoursRemaining = Math.floor(diff / (1000 * 60 * 60));
@@ -3156,7 +6699,10 @@ class SidebarProvider {
 				}
 				
 				function formatTime(time24) {
-					const [hours, minutes] = time24.split(':').map(Number);
+					const totalMinutes = parsePrayerMinutes(time24);
+					if (totalMinutes === null) return '--:--';
+					const hours = Math.floor(totalMinutes / 60);
+					const minutes = totalMinutes % 60;
 					const period = hours >= 12 ? 'PM' : 'AM';
 					const displayHours = hours % 12 || 12;
 					return \`\${displayHours}:\${minutes.toString().padStart(2, '0')} \${period}\`;
@@ -3215,13 +6761,7 @@ class SidebarProvider {
 				function changeAzkarRandomly() {
 					console.log('Changing azkar randomly, current index:', currentAzkarIndex);
 					
-					let newIndex;
-					do {
-						newIndex = Math.floor(Math.random() * azkarList.length);
-					} while (azkarList.length > 1 && newIndex === currentAzkarIndex);
-					
-					currentAzkarIndex = newIndex;
-					const azkar = azkarList[currentAzkarIndex];
+					const azkar = pickAzkar();
 					console.log('New azkar selected:', azkar.arabic.substring(0, 30) + '...');
 					
 					// Update display
@@ -3255,14 +6795,26 @@ class SidebarProvider {
 					}
 				}
 				
-				function getRandomAzkar() {
+				// Between adhan and iqama the window's duas are shown in turn
+				// instead of random picks.
+				function pickAzkar() {
+					if (getAdhanWindow()) {
+						adhanAzkarIndex = (adhanAzkarIndex + 1) % adhanWindowAzkar.length;
+						return adhanWindowAzkar[adhanAzkarIndex];
+					}
+					
+					adhanAzkarIndex = -1;
 					let randomIndex;
 					do {
 						randomIndex = Math.floor(Math.random() * azkarList.length);
 					} while (azkarList.length > 1 && randomIndex === currentAzkarIndex);
 					
 					currentAzkarIndex = randomIndex;
-					const azkar = azkarList[currentAzkarIndex];
+					return azkarList[currentAzkarIndex];
+				}
+				
+				function getRandomAzkar() {
+					const azkar = pickAzkar();
 					
 					document.getElementById('azkarText').innerHTML = \`
 						\${azkar.arabic}
@@ -3372,24 +6924,15 @@ class SidebarProvider {
 				// Update prayer times every minute if we have location and prayer data
 				setInterval(() => {
 					if (prayerTimesData && userLocation) {
-						const prayers = [
-							{ name: 'Fajr', key: 'Fajr' },
-							{ name: 'Dhuhr', key: 'Dhuhr' },
-							{ name: 'Asr', key: 'Asr' },
-							{ name: 'Maghrib', key: 'Maghrib' },
-							{ name: 'Isha', key: 'Isha' }
-						];
-						updateNextPrayer(prayers);
+						updateNextPrayer(getPrayerList());
+						displaySunWindows();
+						displayNightTimes();
+						displayHijriDate();
+						displayRamadan();
+						displayAdhanDua();
 					}
 				}, 60000);
 				
-				// Refresh prayer times daily at midnight
-				setInterval(() => {
-					if (userLocation) {
-						fetchPrayerTimes();
-					}
-				}, 24 * 60 * 60 * 1000);
-				
 				// Todo List Functions
 				function loadTodos() {
 					const stored = localStorage.getItem('islamicShokyTodos');
@@ -4835,7 +8378,10 @@ class SidebarProvider {
   }
 
   // Prayer notification methods
-  _schedulePrayerNotifications(prayerTimes) {
+  _schedulePrayerNotifications(prayerTimes, tomorrowPrayerTimes = null) {
+    // Clear existing timeouts first, so turning reminders off disarms them
+    this._clearPrayerTimeouts();
+
     const config = this._getConfiguration();
     if (
       !config.enablePrayerNotifications ||
@@ -4844,9 +8390,6 @@ class SidebarProvider {
       return;
     }
 
-    // Clear existing timeouts
-    this._clearPrayerTimeouts();
-
     const now = new Date();
     const prayers = [
       { name: "Fajr", key: "Fajr" },
@@ -4856,118 +8399,676 @@ class SidebarProvider {
       { name: "Isha", key: "Isha" },
     ];
 
-    prayers.forEach((prayer) => {
-      const prayerTime = prayerTimes[prayer.key];
-      if (!prayerTime) return;
-
-      const [hours, minutes] = prayerTime.split(":").map(Number);
-      const prayerDateTime = new Date();
-      prayerDateTime.setHours(hours, minutes, 0, 0);
+    prayers.forEach((basePrayer) => {
+      let prayerDateTime = this._parsePrayerTime(
+        prayerTimes[basePrayer.key],
+        now,
+      );
+      if (!prayerDateTime) return;
 
-      // If prayer time has passed today, schedule for tomorrow
-      if (prayerDateTime <= now) {
-        prayerDateTime.setDate(prayerDateTime.getDate() + 1);
+      const prepareDelayMinutes = Math.max(1, config.iqamaPrepareDelayMinutes);
+      const getUrgentTime = (adhanTime) =>
+        this._getUrgentTime(basePrayer.key, adhanTime, config);
+
+      // Once today's reminders for this prayer are all behind us, schedule tomorrow's
+      if (getUrgentTime(prayerDateTime) <= now) {
+        const tomorrow = new Date(now);
+        tomorrow.setDate(tomorrow.getDate() + 1);
+        prayerDateTime =
+          this._parsePrayerTime(
+            tomorrowPrayerTimes && tomorrowPrayerTimes[basePrayer.key],
+            tomorrow,
+          ) ||
+          new Date(
+            tomorrow.getFullYear(),
+            tomorrow.getMonth(),
+            tomorrow.getDate(),
+            prayerDateTime.getHours(),
+            prayerDateTime.getMinutes(),
+          );
       }
 
       const prayerDateKey = this._toDateKey(prayerDateTime);
+      const isJumuah = this._isJumuah(basePrayer.key, prayerDateTime, config);
+      const prayer = {
+        ...basePrayer,
+        name: this._getPrayerDisplayName(
+          basePrayer.key,
+          prayerDateTime,
+          config,
+        ),
+      };
+
+      // In traveler mode the pair's reminders go with its lead prayer; the
+      // other prayer keeps only its previous-prayer check.
+      const combined = this._getCombinedPrayers(basePrayer.key, config);
+      const reminderName = combined ? combined.name : prayer.name;
+      const responseKeys = (combined ? combined.keys : [prayer.key]).map(
+        (key) => `${prayerDateKey}:${key}`,
+      );
 
       // Ask about the previous prayer one minute before adhan.
       const preCheckTime = new Date(prayerDateTime.getTime() - 60 * 1000);
-      const timeUntilPreCheck = preCheckTime - now;
-      const preCheckEventKey = `${prayerDateKey}:${prayer.key}:precheck`;
-      if (timeUntilPreCheck > 0) {
-        const preCheckTimeout = setTimeout(() => {
-          void this._runUniquePrayerEvent(preCheckEventKey, async () => {
-            await this._askPreviousPrayerCheck(prayer, prayerDateTime);
-          });
-        }, timeUntilPreCheck);
+      const hasPreCheck = this._setPrayerTimeout(
+        `${prayer.key}_precheck`,
+        preCheckTime,
+        () => {
+          void this._runUniquePrayerEvent(
+            `${prayerDateKey}:${prayer.key}:precheck`,
+            async () => {
+              await this._askPreviousPrayerCheck(prayer, prayerDateTime);
+            },
+          );
+        },
+      );
 
-        this._prayerTimeouts.set(`${prayer.key}_precheck`, preCheckTimeout);
+      if (combined && combined.leadKey !== prayer.key) {
+        if (!hasPreCheck) {
+          this._setPrayerTimeout(`${prayer.key}_prayer`, prayerDateTime, () => {
+            void this._runUniquePrayerEvent(
+              `${prayerDateKey}:${prayer.key}:precheck`,
+              async () => {
+                await this._askPreviousPrayerCheck(prayer, prayerDateTime);
+              },
+            );
+          });
+        }
+        return;
       }
 
       // Schedule notification at prayer time
-      const timeUntilPrayer = prayerDateTime - now;
-      if (timeUntilPrayer > 0) {
-        const prayerTimeout = setTimeout(() => {
-          void this._runUniquePrayerEvent(
-            `${prayerDateKey}:${prayer.key}:adhan`,
-            async () => {
-              await this._setLastPrayerNotified(prayer.name, prayerDateTime);
-              this._showPrayerNotification(prayer.name, "prayer");
+      this._setPrayerTimeout(`${prayer.key}_prayer`, prayerDateTime, () => {
+        void this._runUniquePrayerEvent(
+          `${prayerDateKey}:${prayer.key}:adhan`,
+          async () => {
+            await this._setLastPrayerNotified(prayer.name, prayerDateTime);
+            this._playAdhan(prayer.key);
+            this._showPrayerNotification(
+              reminderName,
+              "prayer",
+              this._getTravelerNote(prayer.key, combined),
+            );
+            this._showAdhanDua(reminderName);
 
-              // If pre-check couldn't run before prayer, run it now.
-              if (timeUntilPreCheck <= 0) {
-                await this._askPreviousPrayerCheck(prayer, prayerDateTime);
-              }
-            },
-          );
-        }, timeUntilPrayer);
+            // If pre-check couldn't run before prayer, run it now.
+            if (!hasPreCheck) {
+              await this._askPreviousPrayerCheck(prayer, prayerDateTime);
+            }
+          },
+        );
+      });
+
+      // Schedule iqama preparation reminder, either a fixed delay after adhan
+      // or a few minutes before the mosque's iqama time.
+      const iqamaTime = this._getIqamaTime(prayer.key, prayerDateTime, config);
+      const urgentTime = getUrgentTime(prayerDateTime);
+      const prepareTime = iqamaTime
+        ? new Date(
+            Math.max(
+              prayerDateTime.getTime(),
+              iqamaTime.getTime() -
+                Math.max(1, config.iqamaPrepareLeadMinutes) * 60 * 1000,
+            ),
+          )
+        : new Date(prayerDateTime.getTime() + prepareDelayMinutes * 60 * 1000);
+      this._setPrayerTimeout(`${prayer.key}_prepare`, prepareTime, () => {
+        void this._runUniquePrayerEvent(
+          `${prayerDateKey}:${prayer.key}:iqama-prepare`,
+          async () => {
+            this._showPrayerNotification(
+              reminderName,
+              "prepare",
+              iqamaTime ? this._toTimeString(iqamaTime) : null,
+            );
+          },
+        );
+      });
+
+      // On Fridays, remind to leave for the masjid ahead of the khutbah, or
+      // ahead of the adhan when the masjid's khutbah time is not set.
+      const leaveMinutes = Number(config.jumuahLeaveReminderMinutes) || 0;
+      if (isJumuah && leaveMinutes > 0) {
+        const khutbahTime = this._parsePrayerTime(
+          config.jumuahKhutbahTime,
+          prayerDateTime,
+        );
+        const hasKhutbahTime = Boolean(
+          khutbahTime && khutbahTime >= prayerDateTime,
+        );
+        const leaveFor = hasKhutbahTime ? khutbahTime : prayerDateTime;
+        this._setPrayerTimeout(
+          `${prayer.key}_leave`,
+          new Date(leaveFor.getTime() - leaveMinutes * 60 * 1000),
+          () => {
+            void this._runUniquePrayerEvent(
+              `${prayerDateKey}:${prayer.key}:jumuah-leave`,
+              async () => {
+                this._showPrayerNotification(
+                  prayer.name,
+                  "leave",
+                  `${hasKhutbahTime ? "khutbah" : "adhan"} at ${this._toTimeString(leaveFor)}`,
+                );
+              },
+            );
+          },
+        );
+      }
+
+      // Schedule urgent "GO PRAY NOW" reminder at iqama.
+      this._setPrayerTimeout(`${prayer.key}_urgent`, urgentTime, () => {
+        void this._runUniquePrayerEvent(
+          `${prayerDateKey}:${prayer.key}:iqama-urgent`,
+          async () => {
+            this._showPrayerNotification(reminderName, "urgent");
+            this._activatePrayerLock(reminderName, responseKeys);
+          },
+        );
+      });
+    });
+  }
+
+  /**
+   * After each obligatory prayer, gently suggest one make-up prayer until
+   * the daily qada target is reached. Prayers confirmed after their reminder
+   * time are reminded a little after the confirmation instead.
+   */
+  _scheduleQadaReminders(timings) {
+    const config = this._getConfiguration();
+    const now = new Date();
+    const dateKey = this._toDateKey(now);
+    const responses = this._context.globalState.get(
+      this._stateKeys.prayerResponses,
+      {},
+    );
+    const events = this._context.globalState.get(
+      this._stateKeys.prayerEvents,
+      {},
+    );
+
+    ["Fajr", "Dhuhr", "Asr", "Maghrib", "Isha"].forEach((key) => {
+      const timeoutKey = `qada_${key}`;
+      const adhan = this._parsePrayerTime(timings[key], now);
+      if (
+        !adhan ||
+        !config.enablePrayerNotifications ||
+        config.qadaDailyTarget <= 0
+      ) {
+        this._clearPrayerTimeout(timeoutKey);
+        return;
+      }
+
+      const delay = QADA_REMINDER_DELAY_MINUTES * 60 * 1000;
+      const prayedBy = this._getUrgentTime(key, adhan, config);
+      let remindAt = new Date(prayedBy.getTime() + delay);
+      if (remindAt <= now) {
+        if (
+          !this._hasPrayed(responses[`${dateKey}:${key}`]) ||
+          events[`${dateKey}:qada:${key}`]
+        ) {
+          this._clearPrayerTimeout(timeoutKey);
+          return;
+        }
+        remindAt = new Date(now.getTime() + delay);
+      }
+
+      this._setPrayerTimeout(timeoutKey, remindAt, () => {
+        // Make-up prayers come after the current fard, never before it.
+        const latestResponses = this._context.globalState.get(
+          this._stateKeys.prayerResponses,
+          {},
+        );
+        if (
+          this._isPrayerLockActive ||
+          !this._hasPrayed(latestResponses[`${dateKey}:${key}`])
+        ) {
+          return;
+        }
+
+        void this._runUniquePrayerEvent(`${dateKey}:qada:${key}`, () =>
+          this._remindQada(key),
+        );
+      });
+    });
+  }
+
+  async _remindQada(prayerKey) {
+    const backlog = this._getQadaBacklog();
+    if (backlog.total === 0 || backlog.doneToday >= backlog.dailyTarget) {
+      return;
+    }
+
+    // Prefer making up the prayer just prayed, else the largest backlog.
+    const prayer =
+      backlog.prayers.find(
+        (entry) => entry.key === prayerKey && entry.remaining > 0,
+      ) ||
+      backlog.prayers.reduce((largest, entry) =>
+        entry.remaining > largest.remaining ? entry : largest,
+      );
+    const action = `I prayed one ${prayer.key}`;
+    const choice = await vscode.window.showInformationMessage(
+      `🕋 When you can, pray one make-up ${prayer.key} (${backlog.doneToday}/${backlog.dailyTarget} today, ${backlog.total} remaining)`,
+      action,
+    );
+    if (choice === action) {
+      await this.logQadaPrayer(prayer.key);
+    }
+  }
+
+  _getQadaState() {
+    return {
+      initial: {},
+      completed: {},
+      today: null,
+      ...this._context.globalState.get(this._stateKeys.qada, {}),
+    };
+  }
+
+  /**
+   * Make-up prayers still owed per prayer: the lump-sum backlog plus the
+   * prayers marked missed in the prayer log, minus logged completions. A
+   * "Not yet" answer is only owed once the prayer's time is over.
+   */
+  _getQadaBacklog(now = new Date()) {
+    const state = this._getQadaState();
+    const responses = this._context.globalState.get(
+      this._stateKeys.prayerResponses,
+      {},
+    );
+    const missed = {};
+    Object.keys(responses).forEach((responseKey) => {
+      if (
+        responses[responseKey] === false &&
+        this._isPrayerTimeOver(responseKey, now)
+      ) {
+        const key = responseKey.split(":")[1];
+        missed[key] = (missed[key] || 0) + 1;
+      }
+    });
+
+    const prayers = ["Fajr", "Dhuhr", "Asr", "Maghrib", "Isha"].map((key) => ({
+      key,
+      remaining: Math.max(
+        0,
+        (state.initial[key] || 0) +
+          (missed[key] || 0) -
+          (state.completed[key] || 0),
+      ),
+    }));
+    return {
+      prayers,
+      total: prayers.reduce((sum, prayer) => sum + prayer.remaining, 0),
+      doneToday:
+        state.today && state.today.dateKey === this._toDateKey(now)
+          ? state.today.count
+          : 0,
+      dailyTarget: this._getConfiguration().qadaDailyTarget,
+    };
+  }
+
+  /**
+   * Whether the prayer behind a response key is over, at the next prayer's
+   * adhan (tomorrow's Fajr for Isha).
+   */
+  _isPrayerTimeOver(responseKey, now = new Date()) {
+    const [dateKey, prayerKey] = responseKey.split(":");
+    const prayerKeys = ["Fajr", "Dhuhr", "Asr", "Maghrib", "Isha"];
+    const nextKey = prayerKeys[(prayerKeys.indexOf(prayerKey) + 1) % 5];
+    const [year, month, day] = dateKey.split("-").map(Number);
+    const nextDateKey = this._toDateKey(
+      new Date(year, month - 1, day + (nextKey === "Fajr" ? 1 : 0)),
+    );
+    const todayKey = this._toDateKey(now);
+    if (nextDateKey !== todayKey) {
+      return nextDateKey < todayKey;
+    }
+
+    const nextAdhan =
+      this._prayerSchedule &&
+      this._prayerSchedule.dateKey === todayKey &&
+      this._parsePrayerTime(this._prayerSchedule.timings[nextKey], now);
+    return Boolean(nextAdhan && nextAdhan <= now);
+  }
+
+  async _saveQadaState(state) {
+    await this._context.globalState.update(this._stateKeys.qada, state);
+    if (prayerProvider) {
+      prayerProvider.refresh();
+    }
+  }
+
+  async logQadaPrayer(prayerKey) {
+    const state = this._getQadaState();
+    const todayKey = this._toDateKey(new Date());
+    await this._saveQadaState({
+      ...state,
+      completed: {
+        ...state.completed,
+        [prayerKey]: (state.completed[prayerKey] || 0) + 1,
+      },
+      // Only today's count matters, for the daily target.
+      today: {
+        dateKey: todayKey,
+        count:
+          state.today && state.today.dateKey === todayKey
+            ? state.today.count + 1
+            : 1,
+      },
+    });
+  }
+
+  async setQadaBacklog(prayerKey, count) {
+    const state = this._getQadaState();
+    await this._saveQadaState({
+      ...state,
+      initial: { ...state.initial, [prayerKey]: count },
+    });
+  }
+
+  async showQadaLog(prayerKey = null) {
+    const backlog = this._getQadaBacklog();
+    if (!prayerKey) {
+      const owed = backlog.prayers.filter((prayer) => prayer.remaining > 0);
+      if (owed.length === 0) {
+        vscode.window.showInformationMessage(
+          'No make-up prayers remaining. Use "Set Qada Backlog" to enter missed prayers.',
+        );
+        return;
+      }
+
+      const pick = await vscode.window.showQuickPick(
+        owed.map((prayer) => ({
+          label: prayer.key,
+          description: `${prayer.remaining.toLocaleString()} remaining`,
+        })),
+        { placeHolder: "Which make-up prayer did you pray?" },
+      );
+      if (!pick) {
+        return;
+      }
+      prayerKey = pick.label;
+    }
+
+    await this.logQadaPrayer(prayerKey);
+    const updated = this._getQadaBacklog();
+    const remaining = updated.prayers.find(
+      (prayer) => prayer.key === prayerKey,
+    );
+    vscode.window.showInformationMessage(
+      `Logged one ${prayerKey} qada, ${remaining.remaining.toLocaleString()} remaining${
+        updated.dailyTarget > 0
+          ? ` (${updated.doneToday}/${updated.dailyTarget} today)`
+          : ""
+      }`,
+    );
+  }
+
+  async showQadaBacklogEditor() {
+    const state = this._getQadaState();
+    const pick = await vscode.window.showQuickPick(
+      ["Fajr", "Dhuhr", "Asr", "Maghrib", "Isha"].map((key) => ({
+        label: key,
+        description: `${(state.initial[key] || 0).toLocaleString()} entered`,
+      })),
+      { placeHolder: "Set the backlog of missed prayers for..." },
+    );
+    if (!pick) {
+      return;
+    }
+
+    const value = await vscode.window.showInputBox({
+      prompt: `About how many ${pick.label} prayers do you need to make up? Prayers marked missed in the log are added on top.`,
+      value: String(state.initial[pick.label] || 0),
+      validateInput: (input) =>
+        /^\d+$/.test(input.trim()) ? null : "Enter a whole number",
+    });
+    if (value === undefined) {
+      return;
+    }
+
+    await this.setQadaBacklog(pick.label, Number(value.trim()));
+  }
+
+  /**
+   * Remind at today's Maghrib when tomorrow is a Sunnah fast, so there is
+   * time to make the intention and plan suhoor.
+   */
+  _scheduleSunnahFastReminders(timings) {
+    const config = this._getConfiguration();
+    const now = new Date();
+    const tomorrow = new Date(now);
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    const tomorrowKey = this._toDateKey(tomorrow);
+    const maghrib = this._parsePrayerTime(timings.Maghrib, now);
+    const fasts = this._getSunnahFasts(tomorrow, config);
+
+    if (!maghrib || !config.enablePrayerNotifications || fasts.length === 0) {
+      this._clearPrayerTimeout("sunnahFast");
+      return;
+    }
+
+    this._setPrayerTimeout("sunnahFast", maghrib, () => {
+      void this._runUniquePrayerEvent(`${tomorrowKey}:sunnahFast`, async () => {
+        const choice = await vscode.window.showInformationMessage(
+          `🌙 Tomorrow (${fasts[0].hijri.formattedEn}) is a Sunnah fast: ${fasts
+            .map((fast) => fast.name)
+            .join(", ")}. Make your intention and plan suhoor.`,
+          "Dismiss this occurrence",
+        );
+        if (choice === "Dismiss this occurrence") {
+          await this._dismissSunnahFasts(fasts.map((fast) => fast.key));
+        }
+      });
+    });
+  }
+
+  /**
+   * Enabled Sunnah fasts falling on `date`. Each carries the key its
+   * dismissal is stored under, so dismissing the white days or Shawwal
+   * covers the rest of that month.
+   */
+  _getSunnahFasts(date, config = this._getConfiguration()) {
+    const hijri = HijriCalendar.fromDate(date, config.hijriDateAdjustment);
+    const isEid =
+      (hijri.month === 10 && hijri.day === 1) ||
+      (hijri.month === 12 && hijri.day >= 10 && hijri.day <= 13);
+    if (isEid || this._isRamadanDay(date, config)) {
+      return [];
+    }
+
+    const fasts = [];
+    const weekday = date.getDay();
+    if (
+      config.enableMondayThursdayFastReminder &&
+      (weekday === 1 || weekday === 4)
+    ) {
+      fasts.push({
+        key: `mondayThursday:${this._toDateKey(date)}`,
+        name: weekday === 1 ? "Monday" : "Thursday",
+      });
+    }
+    if (
+      config.enableWhiteDaysFastReminder &&
+      hijri.day >= 13 &&
+      hijri.day <= 15
+    ) {
+      fasts.push({
+        key: `whiteDays:${hijri.year}-${hijri.month}`,
+        name: `White day (${hijri.day}th)`,
+      });
+    }
+    if (
+      config.enableAshuraFastReminder &&
+      hijri.month === 1 &&
+      (hijri.day === 9 || hijri.day === 10)
+    ) {
+      fasts.push({
+        key: `ashura:${hijri.year}`,
+        name: hijri.day === 9 ? "Tasu'a" : "Ashura",
+      });
+    }
+    if (
+      config.enableArafahFastReminder &&
+      hijri.month === 12 &&
+      hijri.day === 9
+    ) {
+      fasts.push({ key: `arafah:${hijri.year}`, name: "Day of Arafah" });
+    }
+    if (config.enableShawwalFastReminder && hijri.month === 10) {
+      fasts.push({
+        key: `shawwal:${hijri.year}`,
+        name: "Six days of Shawwal",
+      });
+    }
+
+    const dismissed = this._context.globalState.get(
+      this._stateKeys.sunnahFastDismissals,
+      [],
+    );
+    return fasts
+      .filter((fast) => !dismissed.includes(fast.key))
+      .map((fast) => ({ ...fast, hijri }));
+  }
+
+  async _dismissSunnahFasts(keys) {
+    const dismissed = this._context.globalState.get(
+      this._stateKeys.sunnahFastDismissals,
+      [],
+    );
+    // Only recent occurrences matter; keep the list short.
+    await this._context.globalState.update(
+      this._stateKeys.sunnahFastDismissals,
+      [...dismissed.filter((key) => !keys.includes(key)), ...keys].slice(-50),
+    );
+  }
+
+  /**
+   * When GO PRAY NOW fires for a prayer: at the iqama, or without one
+   * `iqamaUrgentDelayMinutes` after the adhan.
+   */
+  _getUrgentTime(prayerKey, adhanDate, config = this._getConfiguration()) {
+    const urgentDelayMinutes = Math.max(
+      Math.max(1, config.iqamaPrepareDelayMinutes),
+      config.iqamaUrgentDelayMinutes,
+    );
+    return (
+      this._getIqamaTime(prayerKey, adhanDate, config) ||
+      new Date(adhanDate.getTime() + urgentDelayMinutes * 60 * 1000)
+    );
+  }
+
+  /**
+   * Resolve the iqama time for a prayer on the adhan's day. Seasonal entries
+   * (`{ from: "MM-DD", to: "MM-DD", times: {...} }`) win over `iqamaTimes`;
+   * each value is either an offset such as "+20" or a clock time such as
+   * "20:30". On Fridays in Jumu'ah mode, `jumuahKhutbahTime` is used for
+   * Dhuhr. Returns null when the mosque has no iqama set for the prayer.
+   */
+  _getIqamaTime(prayerKey, adhanDate, config = this._getConfiguration()) {
+    // The khutbah replaces Dhuhr's iqama on Fridays.
+    if (this._isJumuah(prayerKey, adhanDate, config)) {
+      const khutbahTime = this._parsePrayerTime(
+        config.jumuahKhutbahTime,
+        adhanDate,
+      );
+      if (khutbahTime && khutbahTime >= adhanDate) {
+        return khutbahTime;
+      }
+    }
+
+    const monthDay = this._toDateKey(adhanDate).slice(5);
+    const season = (
+      Array.isArray(config.iqamaSeasonalTimes) ? config.iqamaSeasonalTimes : []
+    ).find(
+      (entry) =>
+        entry &&
+        entry.times &&
+        entry.times[prayerKey] !== undefined &&
+        this._isMonthDayInRange(monthDay, entry.from, entry.to),
+    );
+    const value = season
+      ? season.times[prayerKey]
+      : (config.iqamaTimes || {})[prayerKey];
+
+    if (value === undefined || value === null || value === "") {
+      return null;
+    }
+
+    const offset = /^\+?\s*(\d{1,3})$/.exec(String(value).trim());
+    if (offset) {
+      return new Date(adhanDate.getTime() + Number(offset[1]) * 60 * 1000);
+    }
 
-        this._prayerTimeouts.set(`${prayer.key}_prayer`, prayerTimeout);
-      }
+    const iqamaTime = this._parsePrayerTime(value, adhanDate);
+    if (!iqamaTime || iqamaTime < adhanDate) {
+      console.log(`Ignoring iqama time ${value} for ${prayerKey}`);
+      return null;
+    }
 
-      // Schedule iqama preparation reminder after adhan.
-      const prepareDelayMinutes = Math.max(1, config.iqamaPrepareDelayMinutes);
-      const prepareTime = new Date(
-        prayerDateTime.getTime() + prepareDelayMinutes * 60 * 1000,
-      );
-      const timeUntilPrepare = prepareTime - now;
-      if (timeUntilPrepare > 0) {
-        const prepareTimeout = setTimeout(() => {
-          void this._runUniquePrayerEvent(
-            `${prayerDateKey}:${prayer.key}:iqama-prepare`,
-            async () => {
-              this._showPrayerNotification(prayer.name, "prepare");
-            },
-          );
-        }, timeUntilPrepare);
+    return iqamaTime;
+  }
 
-        this._prayerTimeouts.set(`${prayer.key}_prepare`, prepareTimeout);
-      }
+  _isMonthDayInRange(monthDay, from, to) {
+    const pattern = /^\d{2}-\d{2}$/;
+    if (!pattern.test(from || "") || !pattern.test(to || "")) {
+      return false;
+    }
 
-      // Schedule urgent "GO PRAY NOW" reminder.
-      const urgentDelayMinutes = Math.max(
-        prepareDelayMinutes,
-        config.iqamaUrgentDelayMinutes,
-      );
-      const urgentTime = new Date(
-        prayerDateTime.getTime() + urgentDelayMinutes * 60 * 1000,
-      );
-      const timeUntilUrgent = urgentTime - now;
-      if (timeUntilUrgent > 0) {
-        const urgentTimeout = setTimeout(() => {
-          void this._runUniquePrayerEvent(
-            `${prayerDateKey}:${prayer.key}:iqama-urgent`,
-            async () => {
-              this._showPrayerNotification(prayer.name, "urgent");
-              this._activatePrayerLock(prayer.name);
-            },
-          );
-        }, timeUntilUrgent);
+    // Ranges such as "11-01" to "02-28" wrap over the new year.
+    return from <= to
+      ? monthDay >= from && monthDay <= to
+      : monthDay >= from || monthDay <= to;
+  }
+
+  /**
+   * Schedule a prayer event at an absolute time. Returns false when the time
+   * has already passed. Timers that fire long after their target (typically
+   * after the machine slept) are dropped and left to the missed-prayer check.
+   */
+  _setPrayerTimeout(timeoutKey, targetTime, handler) {
+    this._clearPrayerTimeout(timeoutKey);
+
+    const delay = targetTime - new Date();
+    if (delay <= 0) {
+      return false;
+    }
 
-        this._prayerTimeouts.set(`${prayer.key}_urgent`, urgentTimeout);
+    const timeout = setTimeout(() => {
+      if (Date.now() - targetTime.getTime() > PRAYER_EVENT_GRACE_MS) {
+        console.log(`Skipping stale prayer event: ${timeoutKey}`);
+        return;
       }
-    });
+      handler();
+    }, delay);
+    this._prayerTimeouts.set(timeoutKey, timeout);
+    return true;
   }
 
-  _showPrayerNotification(prayerName, type) {
+  _showPrayerNotification(prayerName, type, detail = null) {
     const config = this._getConfiguration();
     if (!config.enablePrayerNotifications) return;
 
     let message = "";
 
     if (type === "prayer") {
-      message = `It's time for ${prayerName}`;
+      message = detail
+        ? `It's time for ${prayerName} (${detail})`
+        : `It's time for ${prayerName}`;
     } else if (type === "prepare") {
-      message = "Prepare for prayer, Iqama is قريب";
+      message = detail
+        ? `Prepare for prayer, Iqama is قريب (${detail})`
+        : "Prepare for prayer, Iqama is قريب";
     } else if (type === "urgent") {
       message = "GO PRAY NOW";
+    } else if (type === "leave") {
+      message = `Leave for the masjid, ${prayerName} ${detail}`;
     }
 
     // Show the prayer notification
     const notification = vscode.window.showInformationMessage(
       message,
       "View Prayer Times",
+      ...(type === "prayer" && this._adhanProcess ? ["Stop Adhan"] : []),
     );
 
     // Auto-dismiss after 10 seconds
@@ -4982,10 +9083,34 @@ class SidebarProvider {
         vscode.commands.executeCommand(
           "workbench.view.extension.islamic-shoky-sidebar",
         );
+      } else if (selection === "Stop Adhan") {
+        this.stopAdhan();
       }
     });
   }
 
+  _parsePrayerTime(time, day) {
+    // Accepts "HH:MM", optionally followed by a timezone such as "(CEST)".
+    const match = /^(\d{1,2}):(\d{2})/.exec(String(time || "").trim());
+    if (!match) {
+      return null;
+    }
+
+    return new Date(
+      day.getFullYear(),
+      day.getMonth(),
+      day.getDate(),
+      Number(match[1]),
+      Number(match[2]),
+    );
+  }
+
+  _toTimeString(date) {
+    const hours = String(date.getHours()).padStart(2, "0");
+    const minutes = String(date.getMinutes()).padStart(2, "0");
+    return `${hours}:${minutes}`;
+  }
+
   _toDateKey(date) {
     const year = date.getFullYear();
     const month = String(date.getMonth() + 1).padStart(2, "0");
@@ -5047,28 +9172,53 @@ class SidebarProvider {
     previousPrayerDate.setDate(
       previousPrayerDate.getDate() + previousPrayer.dayOffset,
     );
-    const responseKey = `${this._toDateKey(previousPrayerDate)}:${previousPrayer.key}`;
+    // Combined prayers are asked about together, and never from within their own pair.
+    const combined = this._getCombinedPrayers(previousPrayer.key, config);
+    if (combined && combined.keys.includes(currentPrayer.key)) {
+      return;
+    }
+
+    const previousDateKey = this._toDateKey(previousPrayerDate);
+    const responseKeys = (combined ? combined.keys : [previousPrayer.key]).map(
+      (key) => `${previousDateKey}:${key}`,
+    );
 
+    // A confirmed Jumu'ah (GO PRAY NOW or this check) also lands here, so
+    // Asr does not ask about Dhuhr on Fridays.
     const responses = this._context.globalState.get(
       this._stateKeys.prayerResponses,
       {},
     );
-    if (responses[responseKey] === true) {
+    if (
+      responseKeys.every((responseKey) =>
+        this._hasPrayed(responses[responseKey]),
+      )
+    ) {
       return;
     }
 
+    const previousPrayerName = combined
+      ? combined.name
+      : this._getPrayerDisplayName(
+          previousPrayer.key,
+          previousPrayerDate,
+          config,
+        );
     const selection = await vscode.window.showInformationMessage(
-      `Did you pray ${previousPrayer.name}?`,
+      `Did you pray ${previousPrayerName}?`,
       "Yes, Alhamdulillah",
       "Not yet, remind me in 10 min",
     );
 
     if (selection === "Yes, Alhamdulillah") {
-      responses[responseKey] = true;
-      await this._context.globalState.update(
-        this._stateKeys.prayerResponses,
-        responses,
-      );
+      // Confirmed after an earlier "Not yet", so prayed after its time ended.
+      responseKeys.forEach((responseKey) => {
+        if (!this._hasPrayed(responses[responseKey])) {
+          responses[responseKey] =
+            responses[responseKey] === false ? "late" : true;
+        }
+      });
+      await this._savePrayerResponses(responses);
       return;
     }
 
@@ -5076,21 +9226,19 @@ class SidebarProvider {
       return;
     }
 
-    responses[responseKey] = false;
-    await this._context.globalState.update(
-      this._stateKeys.prayerResponses,
-      responses,
-    );
+    responseKeys.forEach((responseKey) => {
+      if (!this._hasPrayed(responses[responseKey])) {
+        responses[responseKey] = false;
+      }
+    });
+    await this._savePrayerResponses(responses);
 
     const repeatDelayMinutes = Math.max(
       1,
       config.previousPrayerRepeatDelayMinutes,
     );
     const repeatKey = `${currentPrayer.key}_prev_repeat`;
-    const existingTimeout = this._prayerTimeouts.get(repeatKey);
-    if (existingTimeout) {
-      clearTimeout(existingTimeout);
-    }
+    this._clearPrayerTimeout(repeatKey);
 
     const repeatTimeout = setTimeout(
       () => {
@@ -5101,10 +9249,154 @@ class SidebarProvider {
     this._prayerTimeouts.set(repeatKey, repeatTimeout);
   }
 
-  _activatePrayerLock(prayerName) {
+  _hasPrayed(response) {
+    return response === true || response === "late";
+  }
+
+  _getPrayerStatus(response) {
+    if (response === true) {
+      return "prayed";
+    }
+    if (response === "late") {
+      return "late";
+    }
+    return response === false ? "missed" : "unanswered";
+  }
+
+  async _savePrayerResponses(responses) {
+    await this._context.globalState.update(
+      this._stateKeys.prayerResponses,
+      responses,
+    );
+    this._pushPrayerLogToWebview();
+    // Missed prayers feed the qada backlog shown in the Explorer.
+    if (prayerProvider) {
+      prayerProvider.refresh();
+    }
+    // A prayer confirmed late still gets its qada reminder.
+    if (
+      this._prayerSchedule &&
+      this._prayerSchedule.dateKey === this._toDateKey(new Date())
+    ) {
+      this._scheduleQadaReminders(this._prayerSchedule.timings);
+    }
+  }
+
+  /**
+   * Edit a past entry from the prayer log; "unanswered" removes it so the
+   * missed-prayer checks can ask again.
+   */
+  async setPrayerStatus(responseKey, status) {
+    const responses = {
+      ...this._context.globalState.get(this._stateKeys.prayerResponses, {}),
+    };
+    const values = { prayed: true, late: "late", missed: false };
+    if (Object.prototype.hasOwnProperty.call(values, status)) {
+      responses[responseKey] = values[status];
+    } else {
+      delete responses[responseKey];
+    }
+    await this._savePrayerResponses(responses);
+  }
+
+  /**
+   * Per-day prayer statuses (newest first) for the last `days` days, with
+   * streaks of fully prayed days and prayed percentages over the last 7 and
+   * 30 days. Today's prayers only count once their adhan has passed.
+   */
+  _getPrayerLog(now = new Date(), days = 30) {
+    const responses = this._context.globalState.get(
+      this._stateKeys.prayerResponses,
+      {},
+    );
+    const prayerKeys = ["Fajr", "Dhuhr", "Asr", "Maghrib", "Isha"];
+    const todayKey = this._toDateKey(now);
+    const todayTimings =
+      this._prayerSchedule && this._prayerSchedule.dateKey === todayKey
+        ? this._prayerSchedule.timings
+        : {};
+
+    // A year of history for the best streak; only `days` are returned.
+    const history = [];
+    for (let offset = 0; offset < 365; offset++) {
+      const date = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+      date.setDate(date.getDate() - offset);
+      const dateKey = this._toDateKey(date);
+      history.push({
+        dateKey,
+        prayers: prayerKeys.map((key) => {
+          const adhan =
+            offset === 0 ? this._parsePrayerTime(todayTimings[key], now) : null;
+          return {
+            key,
+            responseKey: `${dateKey}:${key}`,
+            status: this._getPrayerStatus(responses[`${dateKey}:${key}`]),
+            due: offset > 0 || Boolean(adhan && adhan <= now),
+          };
+        }),
+      });
+    }
+
+    const isComplete = (day) =>
+      day.prayers.every(
+        (prayer) => prayer.status === "prayed" || prayer.status === "late",
+      );
+    // Today only extends the streak once all five are prayed.
+    let streak = 0;
+    for (let i = isComplete(history[0]) ? 0 : 1; i < history.length; i++) {
+      if (!isComplete(history[i])) {
+        break;
+      }
+      streak++;
+    }
+    let bestStreak = 0;
+    let run = 0;
+    history.forEach((day) => {
+      run = isComplete(day) ? run + 1 : 0;
+      bestStreak = Math.max(bestStreak, run);
+    });
+
+    const getRate = (count) => {
+      const due = history
+        .slice(0, count)
+        .flatMap((day) => day.prayers)
+        .filter((prayer) => prayer.due);
+      const prayed = due.filter(
+        (prayer) => prayer.status === "prayed" || prayer.status === "late",
+      ).length;
+      return {
+        prayed,
+        due: due.length,
+        percent: due.length ? Math.round((prayed / due.length) * 100) : null,
+      };
+    };
+
+    return {
+      days: history.slice(0, days),
+      streak,
+      bestStreak,
+      week: getRate(7),
+      month: getRate(30),
+    };
+  }
+
+  _pushPrayerLogToWebview() {
+    if (!this._view || !this._view.webview) {
+      return;
+    }
+
+    this._view.webview.postMessage({
+      command: "prayerLogData",
+      ...this._getPrayerLog(),
+    });
+  }
+
+  _activatePrayerLock(prayerName, responseKeys = []) {
     this._isPrayerLockActive = true;
     this._prayerLockPrayerName = prayerName;
+    this._prayerLockResponseKeys = responseKeys;
     this._openGoPrayNowPanel(prayerName);
+    this._updateStatusBar();
 
     if (this._prayerLockRevealInterval) {
       return;
@@ -5124,9 +9416,27 @@ class SidebarProvider {
     }, 3000);
   }
 
+  async _completePrayerLock() {
+    // "I prayed" on the GO PRAY NOW panel confirms the prayer.
+    if (this._prayerLockResponseKeys && this._prayerLockResponseKeys.length) {
+      const responses = this._context.globalState.get(
+        this._stateKeys.prayerResponses,
+        {},
+      );
+      this._prayerLockResponseKeys.forEach((responseKey) => {
+        responses[responseKey] = true;
+      });
+      await this._savePrayerResponses(responses);
+    }
+
+    this._releasePrayerLock();
+  }
+
   _releasePrayerLock() {
     this._isPrayerLockActive = false;
     this._prayerLockPrayerName = "";
+    this._prayerLockResponseKeys = [];
+    this._updateStatusBar();
 
     if (this._prayerLockRevealInterval) {
       clearInterval(this._prayerLockRevealInterval);
@@ -5164,7 +9474,7 @@ class SidebarProvider {
       this._goPrayPanel.webview.onDidReceiveMessage(
         (message) => {
           if (message.command === "prayerLockCompleted") {
-            this._releasePrayerLock();
+            void this._completePrayerLock();
           }
         },
         undefined,
@@ -5253,6 +9563,14 @@ class SidebarProvider {
 </html>`;
   }
 
+  _clearPrayerTimeout(timeoutKey) {
+    const existingTimeout = this._prayerTimeouts.get(timeoutKey);
+    if (existingTimeout) {
+      clearTimeout(existingTimeout);
+      this._prayerTimeouts.delete(timeoutKey);
+    }
+  }
+
   _clearPrayerTimeouts() {
     this._prayerTimeouts.forEach((timeout) => {
       clearTimeout(timeout);
@@ -5482,6 +9800,9 @@ class PrayerDataProvider {
     // Prayer times state
     this.prayerTimes = null;
     this.nextPrayer = null;
+    this.highLatitudeAdjustments = [];
+    this.prayerSchedule = null; // Times pushed by the sidebar provider
+    this.tomorrowPrayerTimes = null;
     this.currentLocation =
       this._context.globalState.get("islamic-shoky.location") || null;
     this.refreshInterval = null;
@@ -5564,6 +9885,22 @@ class PrayerDataProvider {
         return items;
       }
 
+      if (!this.prayerTimes && !this.hasCoordinates()) {
+        // City-only locations cannot be calculated offline
+        const unavailableItem = new vscode.TreeItem(
+          "Prayer times unavailable",
+          vscode.TreeItemCollapsibleState.None,
+        );
+        unavailableItem.description = "Location has no coordinates";
+        unavailableItem.iconPath = new vscode.ThemeIcon("warning");
+        unavailableItem.command = {
+          command: "islamic-shoky.prayer.setLocation",
+          title: "Set Location",
+        };
+        items.push(unavailableItem);
+        return items;
+      }
+
       if (!this.nextPrayer) {
         // Loading or error state
         const loadingItem = new vscode.TreeItem(
@@ -5581,6 +9918,10 @@ class PrayerDataProvider {
         vscode.TreeItemCollapsibleState.None,
       );
       nextPrayerItem.description = this.formatTime(this.nextPrayer.time);
+      if (this.highLatitudeAdjustments.includes(this.nextPrayer.name)) {
+        nextPrayerItem.description += " (high-latitude rule)";
+        nextPrayerItem.tooltip = `${this.nextPrayer.name} adjusted with the high-latitude rule`;
+      }
       nextPrayerItem.iconPath = new vscode.ThemeIcon("bell");
       items.push(nextPrayerItem);
 
@@ -5596,20 +9937,132 @@ class PrayerDataProvider {
         items.push(remainingItem);
       }
 
-      // Location item
+      // Hijri date, which rolls over at Maghrib
+      const hijri = HijriCalendar.fromDate(
+        new Date(),
+        vscode.workspace
+          .getConfiguration("islamic-shoky")
+          .get("hijriDateAdjustment", 0),
+        this.prayerTimes && this.prayerTimes.Maghrib,
+      );
+      const hijriItem = new vscode.TreeItem(
+        hijri.formattedEn,
+        vscode.TreeItemCollapsibleState.None,
+      );
+      hijriItem.description = hijri.formattedAr;
+      hijriItem.iconPath = new vscode.ThemeIcon("calendar");
+      items.push(hijriItem);
+
+      // Current or upcoming Sunrise/Duha/makruh window
+      const sunWindowItem = this.getSunWindowItem();
+      if (sunWindowItem) {
+        items.push(sunWindowItem);
+      }
+
+      if (
+        this._context.globalState.get("islamic-shoky.travelerMode", {}).enabled
+      ) {
+        const travelerItem = new vscode.TreeItem(
+          "Traveler mode",
+          vscode.TreeItemCollapsibleState.None,
+        );
+        travelerItem.description = "qasr & jam'";
+        travelerItem.tooltip = "Click to turn traveler mode off";
+        travelerItem.iconPath = new vscode.ThemeIcon("briefcase");
+        travelerItem.command = {
+          command: "islamic-shoky.prayer.toggleTravelerMode",
+          title: "Toggle Traveler Mode",
+        };
+        items.push(travelerItem);
+      }
+
+      // Make-up prayers still owed, per prayer as children
+      const qada = currentProvider ? currentProvider._getQadaBacklog() : null;
+      if (qada && qada.total > 0) {
+        const qadaItem = new vscode.TreeItem(
+          `Qada: ${qada.total.toLocaleString()} remaining`,
+          vscode.TreeItemCollapsibleState.Collapsed,
+        );
+        qadaItem.contextValue = "qadaBacklog";
+        qadaItem.description =
+          qada.dailyTarget > 0
+            ? `${qada.doneToday}/${qada.dailyTarget} today`
+            : "";
+        qadaItem.tooltip = "Click to log a make-up prayer";
+        qadaItem.iconPath = new vscode.ThemeIcon("history");
+        qadaItem.command = {
+          command: "islamic-shoky.prayer.logQada",
+          title: "Log Qada Prayer",
+        };
+        items.push(qadaItem);
+      }
+
+      // Location item, with the qibla as its child
       const locationItem = new vscode.TreeItem(
         this.currentLocation.city || "Current Location",
-        vscode.TreeItemCollapsibleState.None,
+        this.hasCoordinates()
+          ? vscode.TreeItemCollapsibleState.Expanded
+          : vscode.TreeItemCollapsibleState.None,
       );
+      locationItem.contextValue = "prayerLocation";
       locationItem.description = `${this.currentLocation.country || ""}`;
       locationItem.iconPath = new vscode.ThemeIcon("location");
+      locationItem.tooltip = "Switch to a saved location";
+      locationItem.command = {
+        command: "islamic-shoky.prayer.switchLocation",
+        title: "Switch Location",
+      };
       items.push(locationItem);
 
       return items;
     }
+
+    if (element.contextValue === "prayerLocation" && this.hasCoordinates()) {
+      return [this.getQiblaItem()];
+    }
+    if (element.contextValue === "qadaBacklog" && currentProvider) {
+      return currentProvider
+        ._getQadaBacklog()
+        .prayers.filter((prayer) => prayer.remaining > 0)
+        .map((prayer) => {
+          const item = new vscode.TreeItem(
+            prayer.key,
+            vscode.TreeItemCollapsibleState.None,
+          );
+          item.description = prayer.remaining.toLocaleString();
+          item.tooltip = `Click to log one make-up ${prayer.key}`;
+          item.command = {
+            command: "islamic-shoky.prayer.logQada",
+            title: "Log Qada Prayer",
+            arguments: [prayer.key],
+          };
+          return item;
+        });
+    }
     return [];
   }
 
+  getQiblaItem() {
+    const qibla = PrayerTimesCalculator.getQibla(
+      Number(this.currentLocation.latitude),
+      Number(this.currentLocation.longitude),
+    );
+    const bearing = Math.round(qibla.bearing);
+    const qiblaItem = new vscode.TreeItem(
+      `Qibla ${bearing}° ${qibla.direction}`,
+      vscode.TreeItemCollapsibleState.None,
+    );
+    qiblaItem.description = `${Math.round(qibla.distanceKm).toLocaleString()} km`;
+    qiblaItem.tooltip = `Face ${bearing}° clockwise from true north, ${Math.round(qibla.distanceKm).toLocaleString()} km to the Kaaba`;
+    qiblaItem.iconPath = new vscode.ThemeIcon("compass");
+    return qiblaItem;
+  }
+
+  setPrayerSchedule(schedule) {
+    this.prayerSchedule = schedule;
+    this.refresh();
+  }
+
   calculatePrayerTimes() {
     if (!this.currentLocation) {
       // Try to load location from main extension again
@@ -5617,25 +10070,40 @@ class PrayerDataProvider {
       return;
     }
 
+    // Prefer the schedule used for notifications so every view agrees.
+    const now = new Date();
+    if (
+      this.prayerSchedule &&
+      this.prayerSchedule.dateKey === this.toDateKey(now)
+    ) {
+      const tomorrow = new Date(now);
+      tomorrow.setDate(tomorrow.getDate() + 1);
+
+      this.prayerTimes = this.parseTimings(this.prayerSchedule.timings, now);
+      this.tomorrowPrayerTimes = this.prayerSchedule.tomorrowTimings
+        ? this.parseTimings(this.prayerSchedule.tomorrowTimings, tomorrow)
+        : null;
+      this.highLatitudeAdjustments =
+        this.prayerSchedule.highLatitudeAdjustments || [];
+      this.findNextPrayer();
+      return;
+    }
+
+    this.tomorrowPrayerTimes = null;
+    if (!this.hasCoordinates()) {
+      this.prayerTimes = null;
+      this.nextPrayer = null;
+      return;
+    }
+
     try {
-      const now = new Date();
-      const prayerNames = [
-        "Fajr",
-        "Sunrise",
-        "Dhuhr",
-        "Asr",
-        "Maghrib",
-        "Isha",
-      ];
-
-      // Simple prayer time calculation (simplified for demo)
-      // In a real implementation, you would use a proper Islamic prayer time library
-      const times = this.calculateSimplePrayerTimes(now);
-
-      this.prayerTimes = {};
-      prayerNames.forEach((name, index) => {
-        this.prayerTimes[name] = times[index];
-      });
+      const calculator = this.createCalculator();
+      this.prayerTimes = calculator.getTimes(
+        new Date(),
+        Number(this.currentLocation.latitude),
+        Number(this.currentLocation.longitude),
+      );
+      this.highLatitudeAdjustments = calculator.adjustedTimes;
 
       // Find next prayer
       this.findNextPrayer();
@@ -5644,46 +10112,80 @@ class PrayerDataProvider {
     }
   }
 
-  calculateSimplePrayerTimes(date) {
-    // This is a very simplified calculation for demonstration
-    // In a real implementation, use a proper Islamic calendar library
-    const times = [];
-
-    // Simplified prayer times (adjust based on actual calculation needs)
-    times.push(
-      new Date(date.getFullYear(), date.getMonth(), date.getDate(), 5, 30),
-    ); // Fajr
-    times.push(
-      new Date(date.getFullYear(), date.getMonth(), date.getDate(), 6, 45),
-    ); // Sunrise
-    times.push(
-      new Date(date.getFullYear(), date.getMonth(), date.getDate(), 12, 30),
-    ); // Dhuhr
-    times.push(
-      new Date(date.getFullYear(), date.getMonth(), date.getDate(), 15, 45),
-    ); // Asr
-    times.push(
-      new Date(date.getFullYear(), date.getMonth(), date.getDate(), 18, 15),
-    ); // Maghrib
-    times.push(
-      new Date(date.getFullYear(), date.getMonth(), date.getDate(), 19, 30),
-    ); // Isha
-
+  parseTimings(timings, date) {
+    const times = {};
+    Object.keys(timings).forEach((name) => {
+      const match = /^(\d{1,2}):(\d{2})/.exec(String(timings[name]));
+      if (match) {
+        times[name] = new Date(
+          date.getFullYear(),
+          date.getMonth(),
+          date.getDate(),
+          Number(match[1]),
+          Number(match[2]),
+        );
+      }
+    });
     return times;
   }
 
+  toDateKey(date) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, "0");
+    const day = String(date.getDate()).padStart(2, "0");
+    return `${year}-${month}-${day}`;
+  }
+
+  hasCoordinates() {
+    if (!this.currentLocation || this.currentLocation.useDirectCityAPI) {
+      return false;
+    }
+
+    const latitude = Number(this.currentLocation.latitude);
+    const longitude = Number(this.currentLocation.longitude);
+    return Number.isFinite(latitude) && Number.isFinite(longitude);
+  }
+
+  createCalculator() {
+    // Calculated offline from the saved coordinates with the same method as the webview.
+    const config = vscode.workspace.getConfiguration("islamic-shoky");
+    const timeZone = currentProvider
+      ? currentProvider._getLocationTimeZone(this.currentLocation)
+      : null;
+    return new PrayerTimesCalculator({
+      method: config.get("prayerCalculationMethod", "2"),
+      customFajrAngle: config.get("customFajrAngle", 18),
+      customIshaAngle: config.get("customIshaAngle", 17),
+      customIshaInterval: config.get("customIshaInterval", 0),
+      asrFactor: config.get("asrSchool", "standard") === "hanafi" ? 2 : 1,
+      highLatitudeRule: config.get("highLatitudeRule", "angleBased"),
+      offsets: config.get("prayerTimeOffsets", {}),
+      timeZone,
+      hijriDateAdjustment: config.get("hijriDateAdjustment", 0),
+    });
+  }
+
+  calculateDailyPrayerTimes(date) {
+    return this.createCalculator().getTimes(
+      date,
+      Number(this.currentLocation.latitude),
+      Number(this.currentLocation.longitude),
+    );
+  }
+
   findNextPrayer() {
     if (!this.prayerTimes) return;
 
     const now = new Date();
-    const prayerNames = ["Fajr", "Sunrise", "Dhuhr", "Asr", "Maghrib", "Isha"];
+    // Sunrise ends Fajr's time rather than starting a prayer, so it is not listed here.
+    const prayerNames = ["Fajr", "Dhuhr", "Asr", "Maghrib", "Isha"];
 
     // Find the next prayer time
     for (const name of prayerNames) {
       const prayerTime = this.prayerTimes[name];
-      if (prayerTime > now) {
+      if (prayerTime && prayerTime > now) {
         this.nextPrayer = {
-          name: name,
+          name: this.isJumuah(name, prayerTime) ? JUMUAH_NAME : name,
           time: prayerTime,
         };
         return;
@@ -5693,12 +10195,72 @@ class PrayerDataProvider {
     // If no prayer found today, get tomorrow's Fajr
     const tomorrow = new Date(now);
     tomorrow.setDate(tomorrow.getDate() + 1);
-    const tomorrowTimes = this.calculateSimplePrayerTimes(tomorrow);
+    const tomorrowTimes =
+      this.tomorrowPrayerTimes ||
+      (this.hasCoordinates() ? this.calculateDailyPrayerTimes(tomorrow) : {});
+
+    this.nextPrayer = tomorrowTimes.Fajr
+      ? {
+          name: "Fajr",
+          time: tomorrowTimes.Fajr,
+        }
+      : null;
+  }
 
-    this.nextPrayer = {
-      name: "Fajr",
-      time: tomorrowTimes[0],
-    };
+  getSunWindowItem() {
+    if (!this.prayerTimes) return null;
+
+    const now = new Date();
+    const windows = PrayerTimesCalculator.getSunWindows(this.prayerTimes);
+    const current = windows.find(
+      (window) => window.start <= now && now < window.end,
+    );
+    if (current) {
+      const item = new vscode.TreeItem(
+        current.name,
+        vscode.TreeItemCollapsibleState.None,
+      );
+      item.description = `until ${this.formatTime(current.end)}`;
+      item.tooltip = current.makruh
+        ? "Avoid voluntary prayer during this time"
+        : "Ishraq / Duha prayer time";
+      item.iconPath = new vscode.ThemeIcon(
+        current.makruh ? "warning" : "star-empty",
+      );
+      return item;
+    }
+
+    if (this.prayerTimes.Sunrise && this.prayerTimes.Sunrise > now) {
+      const item = new vscode.TreeItem(
+        "Sunrise",
+        vscode.TreeItemCollapsibleState.None,
+      );
+      item.description = this.formatTime(this.prayerTimes.Sunrise);
+      item.iconPath = new vscode.ThemeIcon("eye");
+      return item;
+    }
+
+    const upcoming = windows.find((window) => window.start > now);
+    if (!upcoming) return null;
+
+    const item = new vscode.TreeItem(
+      upcoming.name,
+      vscode.TreeItemCollapsibleState.None,
+    );
+    item.description = `from ${this.formatTime(upcoming.start)}`;
+    item.iconPath = new vscode.ThemeIcon(
+      upcoming.makruh ? "watch" : "star-empty",
+    );
+    return item;
+  }
+
+  isJumuah(name, date) {
+    const config = vscode.workspace.getConfiguration("islamic-shoky");
+    return (
+      name === "Dhuhr" &&
+      date.getDay() === 5 &&
+      config.get("enableJumuahMode", true)
+    );
   }
 
   formatTime(date) {
@@ -5888,6 +10450,17 @@ function activate(context) {
     ),
   );
 
+  // Schedule today's prayer reminders from the host, even if the panel never opens,
+  // then ask about anything that passed while VS Code was closed.
+  void currentProvider
+    .refreshPrayerSchedule()
+    .then(() => currentProvider._checkMissedPrayers())
+    .catch((error) => {
+      console.error("Error preparing the prayer schedule:", error);
+    });
+  currentProvider._startClockWatch();
+  currentProvider._startStatusBar();
+
   // Register the tasks data provider for Explorer panel
   tasksProvider = new TasksDataProvider(context);
   context.subscriptions.push(
@@ -5935,6 +10508,71 @@ function activate(context) {
     }),
   );
 
+  context.subscriptions.push(
+    vscode.commands.registerCommand(
+      "islamic-shoky.prayer.toggleTravelerMode",
+      async () => {
+        const enabled = !currentProvider._isTravelerModeActive();
+        await currentProvider.setTravelerMode(enabled);
+        vscode.window.showInformationMessage(
+          enabled
+            ? "🧳 Traveler mode on: prayers are shortened and combined"
+            : "Traveler mode off",
+        );
+      },
+    ),
+  );
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand(
+      "islamic-shoky.prayer.switchLocation",
+      () => {
+        void currentProvider.showSavedLocations();
+      },
+    ),
+  );
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand("islamic-shoky.prayer.stopAdhan", () => {
+      currentProvider.stopAdhan();
+    }),
+  );
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand(
+      "islamic-shoky.prayer.showTimetable",
+      () => {
+        void currentProvider.showPrayerTimetable();
+      },
+    ),
+  );
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand(
+      "islamic-shoky.prayer.logQada",
+      (prayerKey) => {
+        void currentProvider.showQadaLog(
+          typeof prayerKey === "string" ? prayerKey : null,
+        );
+      },
+    ),
+  );
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand(
+      "islamic-shoky.prayer.setQadaBacklog",
+      () => {
+        void currentProvider.showQadaBacklogEditor();
+      },
+    ),
+  );
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand("islamic-shoky.fasting.export", () => {
+      void currentProvider.exportFastingLog();
+    }),
+  );
+
   // Register task commands
   context.subscriptions.push(
     vscode.commands.registerCommand("islamic-shoky.tasks.refresh", () => {
@@ -5948,6 +10586,58 @@ function activate(context) {
       if (e.affectsConfiguration("islamic-shoky")) {
         // Refresh the webview when settings change
         currentProvider.refresh();
+        currentProvider._updateStatusBar();
+        // Recalculate Explorer prayer times if the calculation method changed
+        const prayerCalculationSettings = [
+          "prayerCalculationMethod",
+          "customFajrAngle",
+          "customIshaAngle",
+          "customIshaInterval",
+          "asrSchool",
+          "highLatitudeRule",
+          "prayerTimeOffsets",
+          "hijriDateAdjustment",
+        ];
+        // Settings that only change which reminders are scheduled and when
+        const prayerScheduleSettings = [
+          "enablePrayerNotifications",
+          "enablePrayerReminderSystem",
+          "iqamaPrepareDelayMinutes",
+          "iqamaUrgentDelayMinutes",
+          "iqamaTimes",
+          "iqamaSeasonalTimes",
+          "iqamaPrepareLeadMinutes",
+          "enableMakruhNotifications",
+          "enableDuhaReminder",
+          "enableTahajjudReminder",
+          "travelerCombineMode",
+          "enableIslamicEventReminders",
+          "ramadanMode",
+          "suhoorReminderMinutes",
+          "enableMondayThursdayFastReminder",
+          "enableWhiteDaysFastReminder",
+          "enableAshuraFastReminder",
+          "enableArafahFastReminder",
+          "enableShawwalFastReminder",
+          "qadaDailyTarget",
+          "enableJumuahMode",
+          "jumuahKhutbahTime",
+          "jumuahLeaveReminderMinutes",
+        ];
+        if (
+          prayerCalculationSettings.some((setting) =>
+            e.affectsConfiguration(`islamic-shoky.${setting}`),
+          )
+        ) {
+          prayerProvider.refresh();
+          void currentProvider.refreshPrayerSchedule();
+        } else if (
+          prayerScheduleSettings.some((setting) =>
+            e.affectsConfiguration(`islamic-shoky.${setting}`),
+          )
+        ) {
+          void currentProvider.refreshPrayerSchedule();
+        }
         // Also refresh the timer if focus/break durations changed
         if (
           e.affectsConfiguration("islamic-shoky.focusDuration") ||
@@ -5993,6 +10683,10 @@ function activate(context) {
 // This method is called when your extension is deactivated
 function deactivate() {
   // Stop any playing sound when extension is deactivated
+  if (currentProvider && currentProvider.stopAdhan) {
+    currentProvider.stopAdhan();
+  }
+
   if (currentProvider && currentProvider._stopCurrentSound) {
     currentProvider._stopCurrentSound();
   }
@@ -6010,6 +10704,9 @@ function deactivate() {
   // Clear all prayer notification timeouts
   if (currentProvider && currentProvider._clearPrayerTimeouts) {
     currentProvider._clearPrayerTimeouts();
+    currentProvider._clearPrayerRolloverTimeout();
+    currentProvider._stopClockWatch();
+    currentProvider._stopStatusBar();
   }
 
   // Clear prayer lock panel/interval if active
@@ -6039,5 +10736,7 @@ module.exports = {
   deactivate,
   __test: {
     SidebarProvider,
+    PrayerTimesCalculator,
+    HijriCalendar,
   },
 };
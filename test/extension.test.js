@@ -10,6 +10,7 @@ function createMockContext() {
   return {
     subscriptions: [],
     extensionUri: {},
+    extensionPath: "",
     globalState: {
       get: (key, fallbackValue) =>
         Object.prototype.hasOwnProperty.call(state, key)
@@ -174,6 +175,1279 @@ suite("Extension Test Suite", () => {
     });
   });
 
+  test("Offline calculator orders prayers around solar noon", () => {
+    const date = new Date(2024, 2, 20);
+    // Pick the meridian of the local timezone so solar noon is close to 12:00.
+    const longitude = (-date.getTimezoneOffset() / 60) * 15;
+    const calculator = new extensionModule.__test.PrayerTimesCalculator({
+      method: "3",
+    });
+
+    const times = calculator.getTimes(date, 30, longitude);
+    const order = ["Fajr", "Sunrise", "Dhuhr", "Asr", "Maghrib", "Isha"];
+    for (let i = 1; i < order.length; i++) {
+      assert.ok(times[order[i - 1]] < times[order[i]], order[i]);
+    }
+
+    const noonMinutes = times.Dhuhr.getHours() * 60 + times.Dhuhr.getMinutes();
+    assert.ok(Math.abs(noonMinutes - 12 * 60) <= 20);
+  });
+
+  test("Offline calculator uses the location's time zone", () => {
+    const { PrayerTimesCalculator, SidebarProvider } = extensionModule.__test;
+    const date = new Date(2024, 2, 20);
+    const calculator = new PrayerTimesCalculator({
+      method: "1",
+      timeZone: "Asia/Karachi",
+    });
+
+    // Solar noon in Karachi (67°E, UTC+5) is about 12:35 local time.
+    const { Dhuhr } = calculator.getTimes(date, 24.86, 67.01);
+    const noonMinutes = Dhuhr.getHours() * 60 + Dhuhr.getMinutes();
+    assert.ok(Math.abs(noonMinutes - (12 * 60 + 35)) <= 5, String(Dhuhr));
+
+    const context = createMockContext();
+    const provider = new SidebarProvider(context);
+    const location = { latitude: 24.86, longitude: 67.01, city: "Karachi" };
+    context.globalState.update("islamic-shoky.prayerTimetable", {
+      signature: provider._getPrayerTimetableSignature(location),
+      timeZone: "Asia/Karachi",
+      days: {},
+    });
+    assert.strictEqual(provider._getLocationTimeZone(location), "Asia/Karachi");
+    assert.strictEqual(
+      provider._getLocationTimeZone({ latitude: 51.5, longitude: -0.12 }),
+      null,
+    );
+  });
+
+  test("Umm al-Qura Ramadan Isha and Moonsighting seasons are calculated", () => {
+    const { PrayerTimesCalculator } = extensionModule.__test;
+    const minutesBetween = (from, to) => Math.round((to - from) / 60000);
+
+    // 1 Ramadan 1447 is 18 February 2026 in the tabular calendar.
+    const ummAlQura = new PrayerTimesCalculator({ method: "4" });
+    const ramadan = ummAlQura.getTimes(new Date(2026, 1, 25), 21.42, 39.83);
+    assert.strictEqual(minutesBetween(ramadan.Maghrib, ramadan.Isha), 120);
+    const shawwal = ummAlQura.getTimes(new Date(2026, 3, 1), 21.42, 39.83);
+    assert.strictEqual(minutesBetween(shawwal.Maghrib, shawwal.Isha), 90);
+
+    // At the winter solstice Fajr is 75 + 28.65 * 40 / 55 ≈ 96 minutes
+    // before sunrise, and Isha 75 + 25.6 * 40 / 55 ≈ 94 after sunset.
+    const moonsighting = new PrayerTimesCalculator({ method: "15" });
+    const winter = moonsighting.getTimes(new Date(2025, 11, 21), 40, -74);
+    assert.ok(Math.abs(minutesBetween(winter.Fajr, winter.Sunrise) - 96) <= 1);
+    assert.ok(Math.abs(minutesBetween(winter.Sunset, winter.Isha) - 94) <= 1);
+    assert.deepStrictEqual(moonsighting.adjustedTimes, []);
+  });
+
+  test("Hanafi Asr is later than standard Asr", () => {
+    const date = new Date(2024, 5, 21);
+    const longitude = (-date.getTimezoneOffset() / 60) * 15;
+    const { PrayerTimesCalculator } = extensionModule.__test;
+
+    const standard = new PrayerTimesCalculator({ method: "3", asrFactor: 1 });
+    const hanafi = new PrayerTimesCalculator({ method: "3", asrFactor: 2 });
+
+    assert.ok(
+      hanafi.getTimes(date, 40, longitude).Asr >
+        standard.getTimes(date, 40, longitude).Asr,
+    );
+  });
+
+  test("High-latitude rule fills in Fajr and Isha during white nights", () => {
+    const date = new Date(2024, 5, 21);
+    const longitude = (-date.getTimezoneOffset() / 60) * 15;
+    const calculator = new extensionModule.__test.PrayerTimesCalculator({
+      method: "3",
+      highLatitudeRule: "oneSeventh",
+    });
+
+    const times = calculator.getTimes(date, 60, longitude);
+
+    assert.ok(times.Fajr instanceof Date);
+    assert.ok(times.Isha instanceof Date);
+    assert.ok(times.Fajr < times.Sunrise);
+    assert.deepStrictEqual(calculator.adjustedTimes, ["Fajr", "Isha"]);
+  });
+
+  test("Per-prayer offsets shift calculated times and the API tune", () => {
+    const date = new Date(2024, 2, 20);
+    const longitude = (-date.getTimezoneOffset() / 60) * 15;
+    const { PrayerTimesCalculator, SidebarProvider } = extensionModule.__test;
+
+    const base = new PrayerTimesCalculator({ method: "3" });
+    const tuned = new PrayerTimesCalculator({
+      method: "3",
+      offsets: { Fajr: 2, Maghrib: -3 },
+    });
+    const baseTimes = base.getTimes(date, 30, longitude);
+    const tunedTimes = tuned.getTimes(date, 30, longitude);
+
+    assert.strictEqual(tunedTimes.Fajr - baseTimes.Fajr, 2 * 60 * 1000);
+    assert.strictEqual(tunedTimes.Maghrib - baseTimes.Maghrib, -3 * 60 * 1000);
+
+    const provider = new SidebarProvider(createMockContext());
+    const query = provider._getPrayerApiQuery({
+      prayerCalculationMethod: "3",
+      prayerTimeOffsets: { Fajr: 2, Maghrib: -3 },
+    });
+    assert.ok(
+      query.includes(`tune=${encodeURIComponent("0,2,0,0,0,-3,0,0,0")}`),
+    );
+  });
+
+  test("Prayer times fall back to the cached timetable when offline", async () => {
+    const context = createMockContext();
+    const provider = new extensionModule.__test.SidebarProvider(context);
+    const location = { latitude: 30.0444, longitude: 31.2357, city: "Cairo" };
+    await context.globalState.update("islamic-shoky.location", location);
+
+    const today = new Date();
+    provider._requestJson = async (url) => {
+      const [year, month] = url.match(/calendar\/(\d+)\/(\d+)/).slice(1);
+      const day = String(today.getDate()).padStart(2, "0");
+      return {
+        code: 200,
+        data: [
+          {
+            timings: { Fajr: "04:10 (EET)", Dhuhr: "12:00 (EET)" },
+            date: { gregorian: { date: `${day}-${month}-${year}` } },
+          },
+        ],
+      };
+    };
+
+    const online = await provider._getPrayerTimes(today);
+    assert.strictEqual(online.source, "network");
+    assert.strictEqual(online.timings.Fajr, "04:10");
+
+    // Age the cache past a day and lose the network.
+    const timetable = context.globalState.get("islamic-shoky.prayerTimetable");
+    timetable.fetchedAt -= 2 * 24 * 60 * 60 * 1000;
+    provider._requestJson = async () => {
+      throw new Error("offline");
+    };
+
+    const offline = await provider._getPrayerTimes(today);
+    assert.strictEqual(offline.source, "cache");
+    assert.strictEqual(offline.timings.Dhuhr, "12:00");
+    assert.strictEqual(offline.fetchedAt, timetable.fetchedAt);
+  });
+
+  test("Timetable download covers every month of the rolling window", async () => {
+    const context = createMockContext();
+    const provider = new extensionModule.__test.SidebarProvider(context);
+    const location = { latitude: 30.0444, longitude: 31.2357, city: "Cairo" };
+
+    let requested = [];
+    provider._requestJson = async (url) => {
+      const [year, month] = url
+        .match(/calendar\/(\d+)\/(\d+)/)
+        .slice(1)
+        .map(Number);
+      requested.push(`${year}-${month}`);
+      const dayCount = new Date(year, month, 0).getDate();
+      return {
+        code: 200,
+        data: Array.from({ length: dayCount }, (_, index) => ({
+          timings: { Fajr: "05:00 (EET)" },
+          date: { gregorian: { date: `${index + 1}-${month}-${year}` } },
+        })),
+      };
+    };
+
+    let timetable = await provider._refreshPrayerTimetable(
+      location,
+      new Date(2027, 0, 31, 9, 30),
+    );
+    assert.deepStrictEqual(requested, ["2027-1", "2027-2", "2027-3"]);
+    assert.strictEqual(Object.keys(timetable.days).length, 32);
+    assert.ok(timetable.days["2027-01-30"]);
+    assert.ok(timetable.days["2027-02-15"]);
+    assert.ok(timetable.days["2027-03-02"]);
+
+    requested = [];
+    timetable = await provider._refreshPrayerTimetable(
+      location,
+      new Date(2027, 4, 1, 9, 30),
+    );
+    assert.deepStrictEqual(requested, ["2027-4", "2027-5"]);
+    assert.ok(timetable.days["2027-04-30"]);
+    assert.ok(timetable.days["2027-05-31"]);
+  });
+
+  test("Host schedules prayer reminders without the webview", async () => {
+    await withMockedTimers(async (scheduled) => {
+      const context = createMockContext();
+      await context.globalState.update("islamic-shoky.location", {
+        latitude: 21.4225,
+        longitude: 39.8262,
+      });
+      const provider = new extensionModule.__test.SidebarProvider(context);
+
+      const config = {
+        enablePrayerNotifications: true,
+        enablePrayerReminderSystem: true,
+        iqamaPrepareDelayMinutes: 15,
+        iqamaUrgentDelayMinutes: 20,
+        prayerCalculationMethod: "4",
+      };
+      provider._getConfiguration = () => config;
+      provider._getPrayerTimes = async () => ({
+        timings: { Fajr: "04:30", Dhuhr: "12:20", Asr: "15:45" },
+        source: "cache",
+        fetchedAt: Date.now(),
+      });
+
+      await provider.refreshPrayerSchedule();
+
+      assert.ok(provider._prayerTimeouts.has("Dhuhr_prayer"));
+      assert.ok(provider._prayerRolloverTimeout);
+      const rollover = scheduled.find(
+        (timer) => timer === provider._prayerRolloverTimeout,
+      );
+      assert.ok(
+        rollover.delay > 0 && rollover.delay <= 24 * 60 * 60 * 1000 + 5000,
+      );
+
+      // Turning reminders off disarms the ones already scheduled.
+      const dhuhrTimer = provider._prayerTimeouts.get("Dhuhr_prayer");
+      config.enablePrayerReminderSystem = false;
+      await provider.refreshPrayerSchedule();
+      assert.ok(dhuhrTimer.cleared);
+      assert.ok(!provider._prayerTimeouts.has("Dhuhr_urgent"));
+    });
+  });
+
+  test("Prayers missed while away are asked about in one summary", async () => {
+    const context = createMockContext();
+    const provider = new extensionModule.__test.SidebarProvider(context);
+    const yesterday = new Date();
+    yesterday.setDate(yesterday.getDate() - 1);
+    yesterday.setHours(6, 0, 0, 0);
+    const yesterdayKey = provider._toDateKey(yesterday);
+
+    provider._getConfiguration = () => ({
+      enablePrayerNotifications: true,
+      enablePrayerReminderSystem: true,
+    });
+    provider._getPrayerTimes = async (day) =>
+      provider._toDateKey(day) === yesterdayKey
+        ? {
+            timings: { Dhuhr: "12:00", Asr: "15:30", Maghrib: "18:00" },
+            source: "cache",
+          }
+        : null;
+    await context.globalState.update("islamic-shoky.lastPrayerNotified", {
+      prayerName: "Fajr",
+      notifiedAt: yesterday.toISOString(),
+    });
+
+    const messages = [];
+    const originalShowInformationMessage = vscode.window.showInformationMessage;
+    vscode.window.showInformationMessage = async (message) => {
+      messages.push(message);
+      return "Yes, Alhamdulillah";
+    };
+
+    try {
+      await provider._checkMissedPrayers();
+      await provider._checkMissedPrayers();
+    } finally {
+      vscode.window.showInformationMessage = originalShowInformationMessage;
+    }
+
+    assert.strictEqual(messages.length, 1);
+    assert.ok(/Dhuhr .* and Asr .* checks/.test(messages[0]));
+    const responses = context.globalState.get("islamic-shoky.prayerResponses");
+    assert.strictEqual(responses[`${yesterdayKey}:Dhuhr`], true);
+    assert.strictEqual(responses[`${yesterdayKey}:Asr`], true);
+    // Maghrib is the last known prayer, so its time is not over yet.
+    assert.strictEqual(responses[`${yesterdayKey}:Maghrib`], undefined);
+  });
+
+  test("Iqama times support offsets, clock times and seasons", () => {
+    const provider = new extensionModule.__test.SidebarProvider(
+      createMockContext(),
+    );
+    const config = {
+      iqamaTimes: { Fajr: "+25", Isha: "20:30", Asr: "12:00" },
+      iqamaSeasonalTimes: [
+        { from: "11-01", to: "02-28", times: { Isha: "19:15" } },
+      ],
+    };
+    const time = (date) => provider._toTimeString(date);
+
+    const summerIsha = new Date(2026, 6, 10, 19, 50);
+    assert.strictEqual(
+      time(provider._getIqamaTime("Isha", summerIsha, config)),
+      "20:30",
+    );
+    const winterIsha = new Date(2027, 0, 10, 18, 40);
+    assert.strictEqual(
+      time(provider._getIqamaTime("Isha", winterIsha, config)),
+      "19:15",
+    );
+    assert.strictEqual(
+      time(provider._getIqamaTime("Fajr", new Date(2026, 6, 10, 4, 0), config)),
+      "04:25",
+    );
+    // Clock times before the adhan and unset prayers fall back to the delays.
+    assert.strictEqual(
+      provider._getIqamaTime("Asr", new Date(2026, 6, 10, 16, 0), config),
+      null,
+    );
+    assert.strictEqual(
+      provider._getIqamaTime("Dhuhr", new Date(2026, 6, 10, 12, 0), config),
+      null,
+    );
+  });
+
+  test("Confirmed Jumu'ah skips the Dhuhr check at Asr", async () => {
+    const context = createMockContext();
+    const provider = new extensionModule.__test.SidebarProvider(context);
+    const config = {
+      enablePrayerNotifications: true,
+      enablePrayerReminderSystem: true,
+      enableJumuahMode: true,
+      jumuahKhutbahTime: "13:15",
+      iqamaTimes: {},
+    };
+    provider._getConfiguration = () => config;
+
+    const friday = new Date(2026, 9, 23, 12, 40);
+    assert.strictEqual(
+      provider._getPrayerDisplayName("Dhuhr", friday),
+      "Jumu'ah",
+    );
+    assert.strictEqual(
+      provider._toTimeString(provider._getIqamaTime("Dhuhr", friday)),
+      "13:15",
+    );
+
+    provider._prayerLockResponseKeys = [`${provider._toDateKey(friday)}:Dhuhr`];
+    await provider._completePrayerLock();
+
+    const messages = [];
+    const originalShowInformationMessage = vscode.window.showInformationMessage;
+    vscode.window.showInformationMessage = async (message) => {
+      messages.push(message);
+      return undefined;
+    };
+
+    try {
+      await provider._askPreviousPrayerCheck(
+        { key: "Asr", name: "Asr" },
+        new Date(2026, 9, 23, 16, 0),
+      );
+    } finally {
+      vscode.window.showInformationMessage = originalShowInformationMessage;
+    }
+
+    assert.deepStrictEqual(messages, []);
+  });
+
+  test("Jumu'ah leave reminder only names a configured khutbah", async () => {
+    const context = createMockContext();
+    const provider = new extensionModule.__test.SidebarProvider(context);
+    const config = {
+      enablePrayerNotifications: true,
+      enablePrayerReminderSystem: true,
+      enableJumuahMode: true,
+      jumuahKhutbahTime: "",
+      jumuahLeaveReminderMinutes: 30,
+      iqamaTimes: { Dhuhr: "+15" },
+      iqamaPrepareDelayMinutes: 15,
+      iqamaUrgentDelayMinutes: 20,
+    };
+    provider._getConfiguration = () => config;
+    provider._isJumuah = (prayerKey) => prayerKey === "Dhuhr";
+    const timers = new Map();
+    provider._setPrayerTimeout = (key, target, handler) =>
+      timers.set(key, { target, handler });
+    const notifications = [];
+    provider._showPrayerNotification = (name, type, detail) =>
+      notifications.push(detail);
+
+    // Without a khutbah time the reminder falls back to the adhan, not the
+    // weekday Dhuhr iqama.
+    provider._schedulePrayerNotifications({ Dhuhr: "12:20" });
+    const leaveAt = () =>
+      provider._toTimeString(timers.get("Dhuhr_leave").target);
+    assert.strictEqual(leaveAt(), "11:50");
+    timers.get("Dhuhr_leave").handler();
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.deepStrictEqual(notifications, ["adhan at 12:20"]);
+
+    config.jumuahKhutbahTime = "13:15";
+    timers.clear();
+    provider._schedulePrayerNotifications({ Dhuhr: "12:20" });
+    assert.strictEqual(leaveAt(), "12:45");
+  });
+
+  test("Sun windows cover Duha and the three makruh times", () => {
+    const { PrayerTimesCalculator } = extensionModule.__test;
+    const at = (hours, minutes) => new Date(2026, 5, 1, hours, minutes);
+    const windows = PrayerTimesCalculator.getSunWindows({
+      Sunrise: at(5, 30),
+      Dhuhr: at(12, 0),
+      Sunset: at(19, 0),
+    });
+    const time = (date) => `${date.getHours()}:${date.getMinutes()}`;
+
+    assert.deepStrictEqual(
+      windows.map((window) => [
+        window.key,
+        window.makruh,
+        time(window.start),
+        time(window.end),
+      ]),
+      [
+        ["makruhSunrise", true, "5:30", "5:45"],
+        ["duha", false, "5:45", "11:50"],
+        ["makruhZenith", true, "11:50", "12:0"],
+        ["makruhSunset", true, "18:45", "19:0"],
+      ],
+    );
+    // Without a sunrise (polar day/night) only the zenith window remains.
+    assert.deepStrictEqual(
+      PrayerTimesCalculator.getSunWindows({ Dhuhr: at(12, 0) }).map(
+        (window) => window.key,
+      ),
+      ["makruhZenith"],
+    );
+  });
+
+  test("Tahajjud reminder fires once at the last third of the night", async () => {
+    await withMockedTimers(async () => {
+      const context = createMockContext();
+      const provider = new extensionModule.__test.SidebarProvider(context);
+      provider._getConfiguration = () => ({
+        enablePrayerNotifications: true,
+        enableTahajjudReminder: true,
+      });
+
+      const { PrayerTimesCalculator } = extensionModule.__test;
+      const night = PrayerTimesCalculator.getNightTimes(
+        new Date(2026, 5, 1, 18, 0),
+        new Date(2026, 5, 2, 6, 0),
+      );
+      assert.strictEqual(night.midnight.getHours(), 0);
+      assert.strictEqual(night.lastThird.getHours(), 2);
+
+      // Tonight runs from 23:00 to 23:59 (next day), so the last third is always ahead.
+      provider._scheduleTahajjudNotifications(
+        { Fajr: "00:00", Maghrib: "23:00" },
+        { Fajr: "23:59" },
+      );
+      const tonightKey = `tahajjud_${provider._toDateKey(new Date())}`;
+      assert.ok(provider._prayerTimeouts.has(tonightKey));
+
+      const messages = [];
+      const originalShowInformationMessage =
+        vscode.window.showInformationMessage;
+      vscode.window.showInformationMessage = async (message) => {
+        messages.push(message);
+      };
+      const originalNow = Date.now;
+      const timer = provider._prayerTimeouts.get(tonightKey);
+      Date.now = () => originalNow() + timer.delay;
+      try {
+        timer.callback();
+        timer.callback();
+        await new Promise((resolve) => setImmediate(resolve));
+      } finally {
+        Date.now = originalNow;
+        vscode.window.showInformationMessage = originalShowInformationMessage;
+      }
+
+      assert.strictEqual(messages.length, 1);
+      assert.ok(messages[0].includes("Tahajjud"));
+    });
+  });
+
+  test("Switching to a saved location reschedules prayer times", async () => {
+    const context = createMockContext();
+    const provider = new extensionModule.__test.SidebarProvider(context);
+    const cairo = { city: "Cairo", latitude: 30.0444, longitude: 31.2357 };
+    const riyadh = { city: "Riyadh", latitude: 24.7136, longitude: 46.6753 };
+    await context.globalState.update("islamic-shoky.location", cairo);
+    await context.globalState.update("islamic-shoky.savedLocations", [
+      { name: "Home", location: cairo },
+      { name: "Riyadh client", location: riyadh },
+    ]);
+
+    const refreshedFor = [];
+    provider.refreshPrayerSchedule = async () => {
+      refreshedFor.push(context.globalState.get("islamic-shoky.location").city);
+    };
+
+    const originalShowQuickPick = vscode.window.showQuickPick;
+    const originalShowInformationMessage = vscode.window.showInformationMessage;
+    let pickedLabels = [];
+    vscode.window.showQuickPick = async (items) => {
+      pickedLabels = items.map((item) => item.label);
+      return items[1];
+    };
+    vscode.window.showInformationMessage = async () => undefined;
+
+    try {
+      await provider.showSavedLocations();
+    } finally {
+      vscode.window.showQuickPick = originalShowQuickPick;
+      vscode.window.showInformationMessage = originalShowInformationMessage;
+    }
+
+    assert.strictEqual(pickedLabels[0], "$(check) Home");
+    assert.deepStrictEqual(refreshedFor, ["Riyadh"]);
+  });
+
+  test("Returning home turns traveler mode off before rescheduling", async () => {
+    const context = createMockContext();
+    const provider = new extensionModule.__test.SidebarProvider(context);
+    const cairo = { city: "Cairo", latitude: 30.0444, longitude: 31.2357 };
+    const riyadh = { city: "Riyadh", latitude: 24.7136, longitude: 46.6753 };
+    provider._getConfiguration = () => ({ travelerDistanceKm: 80 });
+    await context.globalState.update("islamic-shoky.location", riyadh);
+    await context.globalState.update("islamic-shoky.homeLocation", cairo);
+    await context.globalState.update("islamic-shoky.travelerMode", {
+      enabled: true,
+    });
+    // Storage writes land a tick later, as they do in VS Code.
+    const update = context.globalState.update;
+    context.globalState.update = async (key, value) => {
+      await new Promise((resolve) => setImmediate(resolve));
+      await update(key, value);
+    };
+
+    const travelerModeAtRefresh = [];
+    provider.refreshPrayerSchedule = async () => {
+      travelerModeAtRefresh.push(provider._isTravelerModeActive());
+    };
+
+    const originalShowInformationMessage = vscode.window.showInformationMessage;
+    vscode.window.showInformationMessage = async () => undefined;
+    try {
+      await provider.switchToLocation(cairo);
+    } finally {
+      vscode.window.showInformationMessage = originalShowInformationMessage;
+    }
+
+    assert.ok(travelerModeAtRefresh.length > 0);
+    assert.ok(travelerModeAtRefresh.every((enabled) => !enabled));
+  });
+
+  test("Traveler mode combines reminders and checks per pair", async () => {
+    await withMockedTimers(async () => {
+      const context = createMockContext();
+      const provider = new extensionModule.__test.SidebarProvider(context);
+      provider._getConfiguration = () => ({
+        enablePrayerNotifications: true,
+        enablePrayerReminderSystem: true,
+        iqamaPrepareDelayMinutes: 15,
+        iqamaUrgentDelayMinutes: 20,
+        travelerCombineMode: "taqdim",
+      });
+      await context.globalState.update("islamic-shoky.travelerMode", {
+        enabled: true,
+      });
+
+      const distance = provider._getDistanceKm(
+        { latitude: 30.0444, longitude: 31.2357 },
+        { latitude: 24.7136, longitude: 46.6753 },
+      );
+      assert.ok(distance > 1550 && distance < 1700);
+
+      // Today's times have passed, so tomorrow's are scheduled.
+      const passed = { Fajr: "00:00", Dhuhr: "00:00", Asr: "00:00" };
+      provider._schedulePrayerNotifications(
+        { ...passed, Maghrib: "00:00", Isha: "00:00" },
+        {
+          Fajr: "04:30",
+          Dhuhr: "12:00",
+          Asr: "15:30",
+          Maghrib: "18:30",
+          Isha: "20:00",
+        },
+      );
+      assert.ok(provider._prayerTimeouts.has("Dhuhr_urgent"));
+      assert.ok(!provider._prayerTimeouts.has("Asr_urgent"));
+      assert.ok(provider._prayerTimeouts.has("Asr_precheck"));
+      assert.ok(!provider._prayerTimeouts.has("Isha_urgent"));
+
+      const messages = [];
+      const originalShowInformationMessage =
+        vscode.window.showInformationMessage;
+      vscode.window.showInformationMessage = async (message) => {
+        messages.push(message);
+        return "Yes, Alhamdulillah";
+      };
+      try {
+        const date = new Date(2026, 5, 1);
+        await provider._askPreviousPrayerCheck({ key: "Asr" }, date);
+        await provider._askPreviousPrayerCheck({ key: "Maghrib" }, date);
+      } finally {
+        vscode.window.showInformationMessage = originalShowInformationMessage;
+      }
+
+      assert.deepStrictEqual(messages, ["Did you pray Dhuhr & Asr?"]);
+      const responses = context.globalState.get(
+        "islamic-shoky.prayerResponses",
+      );
+      assert.strictEqual(responses["2026-06-01:Dhuhr"], true);
+      assert.strictEqual(responses["2026-06-01:Asr"], true);
+    });
+  });
+
+  test("Qibla bearing and distance to the Kaaba", () => {
+    const { PrayerTimesCalculator } = extensionModule.__test;
+    const london = PrayerTimesCalculator.getQibla(51.5074, -0.1278);
+    assert.ok(Math.abs(london.bearing - 118.99) < 0.5);
+    assert.strictEqual(london.direction, "SE");
+    assert.ok(Math.abs(london.distanceKm - 4790) < 30);
+
+    const newYork = PrayerTimesCalculator.getQibla(40.7128, -74.006);
+    assert.ok(Math.abs(newYork.bearing - 58.48) < 0.5);
+    assert.strictEqual(newYork.direction, "NE");
+  });
+
+  test("Hijri date is calculated offline and rolls over at Maghrib", () => {
+    const { HijriCalendar } = extensionModule.__test;
+    const ramadan = HijriCalendar.fromDate(new Date(2026, 1, 18, 12, 0));
+    assert.deepStrictEqual(
+      [ramadan.day, ramadan.month, ramadan.year, ramadan.monthNameEn],
+      [1, 9, 1447, "Ramadan"],
+    );
+    assert.strictEqual(ramadan.formattedAr, "1 رمضان 1447 هـ");
+
+    const maghrib = new Date(2026, 1, 18, 17, 50);
+    assert.strictEqual(
+      HijriCalendar.fromDate(new Date(2026, 1, 18, 18, 0), 0, maghrib).day,
+      2,
+    );
+    assert.strictEqual(
+      HijriCalendar.fromDate(new Date(2026, 1, 18, 12, 0), -1).monthNameEn,
+      "Sha'ban",
+    );
+  });
+
+  test("Islamic events list the next occurrence of each occasion", () => {
+    const { HijriCalendar } = extensionModule.__test;
+    const eid = HijriCalendar.toDate(1447, 10, 1);
+    const eidHijri = HijriCalendar.fromDate(eid);
+    assert.deepStrictEqual([eidHijri.day, eidHijri.month], [1, 10]);
+
+    const events = HijriCalendar.getUpcomingEvents(new Date(2026, 1, 18, 9, 0));
+    const byKey = Object.fromEntries(events.map((event) => [event.key, event]));
+    assert.strictEqual(
+      byKey.ramadanStart.date.getTime(),
+      new Date(2026, 1, 18).getTime(),
+    );
+    assert.strictEqual(byKey.eidAlFitr.date.getTime(), eid.getTime());
+    assert.strictEqual(byKey.whiteDays.hijri.day, 13);
+    assert.strictEqual(byKey.whiteDays.hijri.month, 9);
+    assert.ok(
+      events.every((event, i) => i === 0 || events[i - 1].date <= event.date),
+    );
+
+    // The night of the 21st has passed by the morning of the 21st.
+    const night21 = byKey.laylatAlQadr21.date;
+    const later = HijriCalendar.getUpcomingEvents(night21).find(
+      (event) => event.key === "laylatAlQadr21",
+    );
+    assert.strictEqual(later.hijri.year, 1448);
+  });
+
+  test("Ramadan mode schedules suhoor and iftar reminders", async () => {
+    await withMockedTimers(async () => {
+      const context = createMockContext();
+      const provider = new extensionModule.__test.SidebarProvider(context);
+      const config = {
+        enablePrayerNotifications: true,
+        ramadanMode: "auto",
+        suhoorReminderMinutes: 30,
+        hijriDateAdjustment: 0,
+      };
+      provider._getConfiguration = () => config;
+
+      assert.strictEqual(provider._isRamadanDay(new Date(2026, 1, 20)), true);
+      assert.strictEqual(provider._isRamadanDay(new Date(2026, 3, 1)), false);
+      config.ramadanMode = "on";
+      assert.strictEqual(provider._isRamadanDay(new Date(2026, 3, 1)), true);
+
+      const imsak = provider._getImsakTime({ Fajr: "05:00" }, new Date());
+      assert.strictEqual(provider._toTimeString(imsak), "04:50");
+
+      provider._scheduleRamadanNotifications(
+        { Fajr: "00:00", Maghrib: "23:59" },
+        { Fajr: "23:59" },
+      );
+      const todayKey = provider._toDateKey(new Date());
+      const tomorrow = new Date();
+      tomorrow.setDate(tomorrow.getDate() + 1);
+      assert.ok(provider._prayerTimeouts.has(`iftar_${todayKey}`));
+      assert.ok(
+        provider._prayerTimeouts.has(`suhoor_${provider._toDateKey(tomorrow)}`),
+      );
+
+      config.ramadanMode = "off";
+      provider._scheduleRamadanNotifications(
+        { Fajr: "00:00", Maghrib: "23:59" },
+        { Fajr: "23:59" },
+      );
+      assert.strictEqual(provider._prayerTimeouts.size, 0);
+    });
+  });
+
+  test("Sunnah fasts are found for tomorrow and can be dismissed", async () => {
+    const context = createMockContext();
+    const provider = new extensionModule.__test.SidebarProvider(context);
+    provider._getConfiguration = () => ({
+      ramadanMode: "auto",
+      hijriDateAdjustment: 0,
+      enableMondayThursdayFastReminder: true,
+      enableWhiteDaysFastReminder: true,
+      enableAshuraFastReminder: true,
+      enableArafahFastReminder: true,
+      enableShawwalFastReminder: true,
+    });
+    const names = (date) =>
+      provider._getSunnahFasts(date).map((fast) => fast.name);
+
+    assert.deepStrictEqual(names(new Date(2026, 0, 2)), ["White day (13th)"]);
+    assert.deepStrictEqual(names(new Date(2026, 5, 25)), [
+      "Thursday",
+      "Tasu'a",
+    ]);
+    assert.deepStrictEqual(names(new Date(2026, 4, 26)), ["Day of Arafah"]);
+    // No reminders in Ramadan or on Eid al-Fitr.
+    assert.deepStrictEqual(names(new Date(2026, 1, 23)), []);
+    assert.deepStrictEqual(names(new Date(2026, 2, 20)), []);
+
+    assert.deepStrictEqual(names(new Date(2026, 2, 23)), [
+      "Monday",
+      "Six days of Shawwal",
+    ]);
+    await provider._dismissSunnahFasts(["shawwal:1447"]);
+    assert.deepStrictEqual(names(new Date(2026, 2, 24)), []);
+    assert.deepStrictEqual(names(new Date(2026, 2, 26)), ["Thursday"]);
+  });
+
+  test("Fasting log counts missed Ramadan days as make-up fasts", async () => {
+    const context = createMockContext();
+    const provider = new extensionModule.__test.SidebarProvider(context);
+    const config = { ramadanMode: "off", hijriDateAdjustment: 0 };
+    provider._getConfiguration = () => config;
+
+    // The display override does not change which days are owed.
+    await provider.logFast("2026-02-20", { status: "missed", reason: "ill" });
+    config.ramadanMode = "on";
+    await provider.logFast("2026-02-21", {
+      status: "missed",
+      reason: "travel",
+    });
+    await provider.logFast("2026-04-02", { status: "missed" });
+    await provider.logFast("2026-04-06", {
+      status: "fasted",
+      type: "voluntary",
+    });
+    assert.strictEqual(provider._getMakeupFastsOwed(), 2);
+
+    await provider.logFast("2026-04-09", { status: "fasted", type: "makeup" });
+    assert.strictEqual(provider._getMakeupFastsOwed(), 1);
+
+    const log = context.globalState.get("islamic-shoky.fastingLog");
+    assert.deepStrictEqual(log["2026-02-20"], {
+      status: "missed",
+      reason: "ill",
+      ramadan: true,
+    });
+    assert.strictEqual(log["2026-04-02"].ramadan, false);
+
+    await provider.logFast("2026-02-21", null);
+    assert.strictEqual(provider._getMakeupFastsOwed(), 0);
+  });
+
+  test("Status bar counts down to the next adhan or iqama", () => {
+    const context = createMockContext();
+    const provider = new extensionModule.__test.SidebarProvider(context);
+    provider._getConfiguration = () => ({
+      enablePrayerTimes: true,
+      showPrayerStatusBar: true,
+      enableJumuahMode: false,
+      iqamaTimes: { Asr: "+15" },
+      iqamaSeasonalTimes: [],
+      iqamaPrepareDelayMinutes: 15,
+      iqamaUrgentDelayMinutes: 20,
+    });
+    const now = new Date(2026, 5, 1, 14, 0);
+    provider._prayerSchedule = {
+      dateKey: provider._toDateKey(now),
+      timings: {
+        Fajr: "04:00",
+        Sunrise: "05:30",
+        Dhuhr: "13:00",
+        Asr: "15:12",
+        Maghrib: "20:00",
+        Isha: "22:00",
+      },
+      tomorrowTimings: null,
+    };
+    provider._statusBarItem = {
+      show() {
+        this.visible = true;
+      },
+      hide() {
+        this.visible = false;
+      },
+    };
+
+    provider._updateStatusBar(now);
+    assert.strictEqual(provider._statusBarItem.text, "$(clock) Asr in 1h 12m");
+    assert.strictEqual(provider._statusBarItem.backgroundColor, undefined);
+
+    provider._updateStatusBar(new Date(2026, 5, 1, 15, 20));
+    assert.strictEqual(
+      provider._statusBarItem.text,
+      "$(megaphone) Asr iqama in 7m",
+    );
+    assert.strictEqual(
+      provider._statusBarItem.backgroundColor.id,
+      "statusBarItem.warningBackground",
+    );
+
+    // Without an iqama time the window ends at the GO PRAY NOW reminder.
+    provider._updateStatusBar(new Date(2026, 5, 1, 13, 5));
+    assert.strictEqual(
+      provider._statusBarItem.text,
+      "$(megaphone) Dhuhr GO PRAY NOW in 15m",
+    );
+
+    provider._updateStatusBar(new Date(2026, 5, 1, 23, 0));
+    assert.strictEqual(provider._statusBarItem.text, "$(clock) Fajr in 5h 0m");
+
+    provider._isPrayerLockActive = true;
+    provider._prayerLockPrayerName = "Isha";
+    provider._updateStatusBar(new Date(2026, 5, 1, 22, 1));
+    assert.strictEqual(provider._statusBarItem.text, "$(bell) Pray Isha now");
+    assert.ok(provider._statusBarItem.visible);
+  });
+
+  test("Timetable quick pick lists today's times in order", async () => {
+    const context = createMockContext();
+    const provider = new extensionModule.__test.SidebarProvider(context);
+    provider._getConfiguration = () => ({
+      enableJumuahMode: false,
+      iqamaTimes: {},
+      iqamaSeasonalTimes: [],
+      iqamaPrepareDelayMinutes: 15,
+      iqamaUrgentDelayMinutes: 20,
+    });
+
+    const messages = [];
+    let labels = null;
+    const originalShowQuickPick = vscode.window.showQuickPick;
+    const originalShowInformationMessage = vscode.window.showInformationMessage;
+    vscode.window.showQuickPick = async (items) => {
+      labels = items.map((item) => item.label.replace(/^\S+ /, ""));
+    };
+    vscode.window.showInformationMessage = async (message) => {
+      messages.push(message);
+    };
+
+    try {
+      await provider.showPrayerTimetable();
+      assert.strictEqual(labels, null);
+      assert.strictEqual(messages.length, 1);
+
+      // A day without a Fajr time still lists Sunrise in its place.
+      provider._prayerSchedule = {
+        dateKey: provider._toDateKey(new Date()),
+        timings: {
+          Sunrise: "05:30",
+          Dhuhr: "12:00",
+          Asr: "15:30",
+          Maghrib: "18:30",
+          Isha: "20:00",
+        },
+        tomorrowTimings: { Fajr: "04:00" },
+      };
+      await provider.showPrayerTimetable();
+    } finally {
+      vscode.window.showQuickPick = originalShowQuickPick;
+      vscode.window.showInformationMessage = originalShowInformationMessage;
+    }
+
+    assert.deepStrictEqual(labels, [
+      "Sunrise",
+      "Dhuhr",
+      "Asr",
+      "Maghrib",
+      "Isha",
+    ]);
+  });
+
+  test("Prayer log shows statuses, streaks and late prayers", async () => {
+    const context = createMockContext();
+    const provider = new extensionModule.__test.SidebarProvider(context);
+    provider._getConfiguration = () => ({
+      enablePrayerNotifications: true,
+      enablePrayerReminderSystem: true,
+      travelerCombineMode: "none",
+      enableJumuahMode: false,
+      previousPrayerRepeatDelayMinutes: 10,
+    });
+    const now = new Date(2026, 5, 10, 12, 0);
+    const dayKey = (offset) => {
+      const date = new Date(now);
+      date.setDate(date.getDate() - offset);
+      return provider._toDateKey(date);
+    };
+    const prayers = ["Fajr", "Dhuhr", "Asr", "Maghrib", "Isha"];
+    const responses = {};
+    [1, 2, 3, 5].forEach((offset) =>
+      prayers.forEach((key) => {
+        responses[`${dayKey(offset)}:${key}`] = true;
+      }),
+    );
+    responses[`${dayKey(2)}:Asr`] = "late";
+    responses[`${dayKey(4)}:Fajr`] = false;
+    await context.globalState.update(
+      "islamic-shoky.prayerResponses",
+      responses,
+    );
+
+    const log = provider._getPrayerLog(now);
+    assert.strictEqual(log.streak, 3);
+    assert.strictEqual(log.bestStreak, 3);
+    assert.strictEqual(log.days[2].prayers[2].status, "late");
+    assert.strictEqual(log.days[4].prayers[0].status, "missed");
+    assert.strictEqual(log.days[4].prayers[1].status, "unanswered");
+    assert.deepStrictEqual(log.week, { prayed: 20, due: 30, percent: 67 });
+
+    await provider.setPrayerStatus(`${dayKey(4)}:Fajr`, "prayed");
+    await provider.setPrayerStatus(`${dayKey(1)}:Isha`, "unanswered");
+    const edited = context.globalState.get("islamic-shoky.prayerResponses");
+    assert.strictEqual(edited[`${dayKey(4)}:Fajr`], true);
+    assert.ok(!(`${dayKey(1)}:Isha` in edited));
+
+    // "Yes" after an earlier "Not yet" is recorded as late.
+    const originalShowInformationMessage = vscode.window.showInformationMessage;
+    vscode.window.showInformationMessage = async () => "Yes, Alhamdulillah";
+    try {
+      const today = new Date(2026, 5, 10);
+      edited["2026-06-10:Dhuhr"] = false;
+      await context.globalState.update("islamic-shoky.prayerResponses", edited);
+      await provider._askPreviousPrayerCheck({ key: "Asr" }, today);
+    } finally {
+      vscode.window.showInformationMessage = originalShowInformationMessage;
+    }
+    assert.strictEqual(
+      context.globalState.get("islamic-shoky.prayerResponses")[
+        "2026-06-10:Dhuhr"
+      ],
+      "late",
+    );
+  });
+
+  test("Qada reminder waits until the current prayer is prayed", async () => {
+    await withMockedTimers(async (scheduled) => {
+      const context = createMockContext();
+      const provider = new extensionModule.__test.SidebarProvider(context);
+      provider._getConfiguration = () => ({
+        enablePrayerNotifications: true,
+        enableJumuahMode: false,
+        iqamaTimes: {},
+        iqamaSeasonalTimes: [],
+        iqamaPrepareDelayMinutes: 15,
+        iqamaUrgentDelayMinutes: 20,
+        qadaDailyTarget: 1,
+      });
+      const reminded = [];
+      provider._remindQada = async (prayerKey) => {
+        reminded.push(prayerKey);
+      };
+
+      const adhan = new Date(Date.now() - 30 * 60 * 1000);
+      const time = `${String(adhan.getHours()).padStart(2, "0")}:${String(adhan.getMinutes()).padStart(2, "0")}`;
+      provider._scheduleQadaReminders({ Dhuhr: time });
+      assert.strictEqual(scheduled.length, 1);
+
+      scheduled[0].callback();
+      assert.deepStrictEqual(reminded, []);
+
+      await context.globalState.update("islamic-shoky.prayerResponses", {
+        [`${provider._toDateKey(new Date())}:Dhuhr`]: true,
+      });
+      provider._isPrayerLockActive = true;
+      scheduled[0].callback();
+      assert.deepStrictEqual(reminded, []);
+
+      provider._isPrayerLockActive = false;
+      scheduled[0].callback();
+      await Promise.resolve();
+      assert.deepStrictEqual(reminded, ["Dhuhr"]);
+
+      // Confirming a prayer after its reminder time re-arms the reminder.
+      const earlier = new Date(Date.now() - 45 * 60 * 1000);
+      const earlierTime = `${String(earlier.getHours()).padStart(2, "0")}:${String(earlier.getMinutes()).padStart(2, "0")}`;
+      provider._prayerSchedule = {
+        dateKey: provider._toDateKey(new Date()),
+        timings: { Asr: earlierTime },
+      };
+      provider._scheduleQadaReminders(provider._prayerSchedule.timings);
+      assert.ok(!provider._prayerTimeouts.has("qada_Asr"));
+
+      await provider.setPrayerStatus(
+        `${provider._toDateKey(new Date())}:Asr`,
+        "prayed",
+      );
+      const asrTimer = provider._prayerTimeouts.get("qada_Asr");
+      assert.strictEqual(asrTimer.delay, 15 * 60 * 1000);
+    });
+  });
+
+  test("Qada backlog combines the lump sum, misses and completions", async () => {
+    const context = createMockContext();
+    const provider = new extensionModule.__test.SidebarProvider(context);
+    provider._getConfiguration = () => ({ qadaDailyTarget: 2 });
+    await context.globalState.update("islamic-shoky.prayerResponses", {
+      "2026-06-01:Fajr": false,
+      "2026-06-02:Fajr": false,
+      "2026-06-02:Asr": "late",
+      "2026-06-03:Isha": true,
+    });
+    await provider.setQadaBacklog("Fajr", 300);
+    await provider.logQadaPrayer("Fajr");
+
+    const backlog = provider._getQadaBacklog();
+    const remaining = Object.fromEntries(
+      backlog.prayers.map((prayer) => [prayer.key, prayer.remaining]),
+    );
+    assert.deepStrictEqual(remaining, {
+      Fajr: 301,
+      Dhuhr: 0,
+      Asr: 0,
+      Maghrib: 0,
+      Isha: 0,
+    });
+    assert.strictEqual(backlog.doneToday, 1);
+
+    const messages = [];
+    const originalShowInformationMessage = vscode.window.showInformationMessage;
+    vscode.window.showInformationMessage = async (message, action) => {
+      messages.push(message);
+      return action;
+    };
+    try {
+      await provider._remindQada("Dhuhr");
+      await provider._remindQada("Asr");
+    } finally {
+      vscode.window.showInformationMessage = originalShowInformationMessage;
+    }
+
+    // The second reminder is skipped once the daily target is met.
+    assert.deepStrictEqual(messages, [
+      "🕋 When you can, pray one make-up Fajr (1/2 today, 301 remaining)",
+    ]);
+    assert.strictEqual(provider._getQadaBacklog().prayers[0].remaining, 300);
+
+    // "Not yet" on today's Dhuhr is only owed once Asr comes in.
+    const now = new Date(2026, 5, 10, 14, 0);
+    provider._prayerSchedule = {
+      dateKey: provider._toDateKey(now),
+      timings: { Fajr: "04:00", Dhuhr: "13:00", Asr: "16:30" },
+    };
+    await context.globalState.update("islamic-shoky.prayerResponses", {
+      "2026-06-09:Isha": false,
+      "2026-06-10:Dhuhr": false,
+    });
+    const owed = (date) =>
+      provider
+        ._getQadaBacklog(date)
+        .prayers.filter((prayer) => prayer.key !== "Fajr")
+        .map((prayer) => prayer.remaining);
+    assert.deepStrictEqual(owed(now), [0, 0, 0, 1]);
+    assert.deepStrictEqual(owed(new Date(2026, 5, 10, 16, 30)), [1, 0, 0, 1]);
+  });
+
+  test("Adhan picks its recording and pauses Quran audio meanwhile", () => {
+    const context = createMockContext();
+    const provider = new extensionModule.__test.SidebarProvider(context);
+    const config = {
+      adhanAudio: "full",
+      adhanMuezzin: "islamcan2",
+      adhanFile: "",
+      fajrAdhanMuezzin: "islamcan3",
+      fajrAdhanFile: "/nonexistent/fajr-adhan.mp3",
+    };
+    provider._getConfiguration = () => config;
+
+    // A missing Fajr file falls back to Fajr's own muezzin.
+    assert.match(provider._getAdhanSource("Fajr"), /azan3\.mp3$/);
+    assert.match(provider._getAdhanSource("Asr"), /azan2\.mp3$/);
+    // Fajr's own muezzin wins over the general file.
+    config.adhanFile = __filename;
+    assert.match(provider._getAdhanSource("Fajr"), /azan3\.mp3$/);
+    assert.strictEqual(provider._getAdhanSource("Asr"), __filename);
+    config.fajrAdhanMuezzin = "same";
+    assert.strictEqual(provider._getAdhanSource("Fajr"), __filename);
+
+    const messages = [];
+    provider._view = {
+      webview: { postMessage: (message) => messages.push(message.command) },
+    };
+    const { EventEmitter } = require("events");
+    const player = new EventEmitter();
+    player.spawnargs = ["mpv"];
+    player.kill = () => player.emit("close");
+    provider._spawnAdhanProcess = (source) => {
+      assert.strictEqual(source, __filename);
+      return player;
+    };
+
+    provider._playAdhan("Maghrib");
+    assert.strictEqual(provider._adhanProcess, player);
+    provider.stopAdhan();
+    assert.strictEqual(provider._adhanProcess, null);
+    assert.deepStrictEqual(messages, ["pauseForAdhan", "resumeAfterAdhan"]);
+
+    // Takbir mode plays a takbir recording whole instead of a clipped adhan.
+    config.adhanAudio = "takbir";
+    config.adhanTakbirFile = "";
+    assert.match(provider._getAdhanSource("Asr"), /salah-notification\.mp3$/);
+    config.adhanTakbirFile = __filename;
+    assert.strictEqual(provider._getAdhanSource("Fajr"), __filename);
+
+    config.adhanAudio = "off";
+    provider._playAdhan("Isha");
+    assert.strictEqual(provider._adhanProcess, null);
+  });
+
+  test("Native Quran audio resumes once after the adhan", async () => {
+    const context = createMockContext();
+    const provider = new extensionModule.__test.SidebarProvider(context);
+    provider._getConfiguration = () => ({
+      adhanAudio: "full",
+      adhanMuezzin: "islamcan1",
+      adhanFile: "",
+      fajrAdhanMuezzin: "same",
+      fajrAdhanFile: "",
+    });
+
+    const { EventEmitter } = require("events");
+    const createProcess = (name) => {
+      const fakeProcess = new EventEmitter();
+      fakeProcess.spawnargs = [name];
+      // Like a real child process, close is emitted after kill() returns.
+      fakeProcess.kill = () =>
+        setImmediate(() => fakeProcess.emit("close", null));
+      return fakeProcess;
+    };
+    const fallbacks = [];
+    provider._fallbackToWebviewAudio = (audioUrl) => fallbacks.push(audioUrl);
+    const resumed = [];
+    provider._playQuranBackground = (audioUrl, surah, reciter) =>
+      resumed.push([audioUrl, surah, reciter]);
+
+    provider._audioProcess = createProcess("mpv");
+    provider._setupAudioProcessHandlers(2, "Alafasy", "https://quran/2.mp3");
+    const player = createProcess("mpv");
+    provider._spawnAdhanProcess = () => player;
+
+    provider._playAdhan("Dhuhr");
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.deepStrictEqual(fallbacks, []);
+    assert.deepStrictEqual(resumed, []);
+
+    provider.stopAdhan();
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.deepStrictEqual(fallbacks, []);
+    assert.deepStrictEqual(resumed, [["https://quran/2.mp3", 2, "Alafasy"]]);
+  });
+
+  test("Dua after the adhan lasts until the iqama", async () => {
+    const context = createMockContext();
+    const provider = new extensionModule.__test.SidebarProvider(context);
+    const config = {
+      showAdhanDua: true,
+      adhanDuaModal: true,
+      enableJumuahMode: false,
+      iqamaTimes: { Asr: "+15" },
+      iqamaSeasonalTimes: [],
+      iqamaPrepareDelayMinutes: 15,
+      iqamaUrgentDelayMinutes: 20,
+    };
+    provider._getConfiguration = () => config;
+    const now = new Date(2026, 5, 1, 15, 20);
+    provider._prayerSchedule = {
+      dateKey: provider._toDateKey(now),
+      timings: {
+        Fajr: "04:00",
+        Sunrise: "05:30",
+        Dhuhr: "13:00",
+        Asr: "15:12",
+        Maghrib: "20:00",
+        Isha: "22:00",
+      },
+      tomorrowTimings: null,
+    };
+
+    const windows = provider._getAdhanWindows(now);
+    const asr = windows.find((window) => window.name === "Asr");
+    assert.strictEqual(asr.end - asr.start, 15 * 60 * 1000);
+    // Without an iqama the window lasts until the GO PRAY NOW reminder.
+    const maghrib = windows.find((window) => window.name === "Maghrib");
+    assert.strictEqual(maghrib.end - maghrib.start, 20 * 60 * 1000);
+    assert.strictEqual(windows.length, 5);
+
+    const posted = [];
+    provider._view = {
+      webview: { postMessage: (message) => posted.push(message.command) },
+    };
+    const modals = [];
+    const originalShowInformationMessage = vscode.window.showInformationMessage;
+    vscode.window.showInformationMessage = async (message, options) => {
+      modals.push([message, options.modal, options.detail]);
+    };
+    try {
+      provider._showAdhanDua("Asr");
+      config.adhanDuaModal = false;
+      provider._showAdhanDua("Maghrib");
+      config.showAdhanDua = false;
+      provider._showAdhanDua("Isha");
+    } finally {
+      vscode.window.showInformationMessage = originalShowInformationMessage;
+    }
+
+    assert.deepStrictEqual(posted, ["showAdhanDua", "showAdhanDua"]);
+    assert.strictEqual(modals.length, 1);
+    assert.strictEqual(modals[0][0], "🕌 Asr adhan");
+    assert.strictEqual(modals[0][1], true);
+    assert.match(modals[0][2], /muezzin/);
+    assert.match(modals[0][2], /اللَّهُمَّ رَبَّ هَذِهِ الدَّعْوَةِ/);
+    assert.deepStrictEqual(provider._getAdhanWindows(now), []);
+  });
+
+  test("Clock jump failures are logged instead of rejecting", async () => {
+    const context = createMockContext();
+    const provider = new extensionModule.__test.SidebarProvider(context);
+    provider.refreshPrayerSchedule = async () => {
+      throw new Error("offline");
+    };
+    const originalError = console.error;
+    const logged = [];
+    console.error = (...args) => logged.push(args);
+    try {
+      await provider._handleClockJump();
+    } finally {
+      console.error = originalError;
+    }
+    assert.strictEqual(logged.length, 1);
+    assert.strictEqual(logged[0][1].message, "offline");
+  });
+
   test("Sample test", () => {
     assert.strictEqual(-1, [1, 2, 3].indexOf(5));
     assert.strictEqual(-1, [1, 2, 3].indexOf(0));